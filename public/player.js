@@ -0,0 +1,706 @@
+/**
+ * Whys Session Replay Player
+ * Version: 1.0.0
+ *
+ * Rebuilds a recorded session from the `{ sessionData, events[] }` batches
+ * produced by the recorder and plays it back inside a sandboxed iframe:
+ * - DOM state from dom_snapshot / dom_mutation events
+ * - Cursor and click markers from clickCoordinates
+ * - Scroll positions, route changes and console output
+ * - Play/pause, seek, speed control and idle-gap skipping
+ * - One tab at a time when a session spans several tabs
+ *
+ * The replayed document never executes scripts (sandboxed iframe, inline
+ * handlers stripped), so recorded pages cannot affect the host application.
+ */
+
+(function() {
+  'use strict';
+
+  const PLAYER_CONFIG = {
+    SPEEDS: [0.5, 1, 2, 4, 8],
+    DEFAULT_SPEED: 1,
+    IDLE_THRESHOLD: 10000,       // Gaps without user activity longer than this are idle (ms)
+    IDLE_LEAD_TIME: 1000,        // Resume this long before the next activity when skipping (ms)
+    CLICK_MARKER_DURATION: 600,  // How long a click ripple stays visible (ms)
+    MAX_CONSOLE_ENTRIES: 500,    // Console panel history limit
+    DEBUG: false
+  };
+
+  // Events that count as user activity when detecting idle gaps. Only input and
+  // navigation: animations and live clocks mutate the DOM without anyone there.
+  const ACTIVITY_EVENT_TYPES = ['click', 'scroll', 'input', 'navigation'];
+
+  function log(...args) {
+    if (PLAYER_CONFIG.DEBUG) {
+      console.log('[WhysPlayer]', ...args);
+    }
+  }
+
+  // ============================================================================
+  // TIMELINE CONSTRUCTION
+  // ============================================================================
+
+  function getEventTime(event) {
+    const time = Date.parse(event.timestamp);
+    return isNaN(time) ? null : time;
+  }
+
+  // Tabs of one session share its sessionId but each has its own DOM node ids
+  // and sequence numbers, so only one tab can be replayed at a time. Defaults
+  // to the tab of the first full snapshot; events without a tabId (older
+  // recordings) belong to every tab.
+  function selectTab(timed, requestedTabId) {
+    const tabIds = [];
+    timed.forEach(entry => {
+      const eventTabId = entry.event.tabId;
+      if (eventTabId && !tabIds.includes(eventTabId)) tabIds.push(eventTabId);
+    });
+    if (requestedTabId && tabIds.includes(requestedTabId)) {
+      return { tabId: requestedTabId, tabIds: tabIds };
+    }
+    const firstSnapshot = timed.find(entry => entry.event.eventType === 'dom_snapshot' &&
+      entry.event.tabId && entry.event.domSnapshot && entry.event.domSnapshot.node);
+    return { tabId: firstSnapshot ? firstSnapshot.event.tabId : (tabIds[0] || null), tabIds: tabIds };
+  }
+
+  // Accepts either recorded batches ({ sessionData, events }) or a flat array
+  // of events and returns one tab's events in chronological order.
+  function normalizeEvents(input, requestedTabId) {
+    const events = [];
+    let sessionData = null;
+
+    (Array.isArray(input) ? input : [input]).forEach(item => {
+      if (!item) return;
+      if (Array.isArray(item.events)) {
+        sessionData = sessionData || item.sessionData || null;
+        item.events.forEach(event => events.push(event));
+      } else if (item.eventType) {
+        events.push(item);
+      }
+    });
+
+    const timed = events
+      .map((event, index) => ({ event: event, time: getEventTime(event), index: index }))
+      .filter(entry => entry.time !== null);
+
+    // Stable sort keeps recorder order for events sharing a timestamp
+    timed.sort((a, b) => (a.time - b.time) || (a.index - b.index));
+
+    const { tabId, tabIds } = selectTab(timed, requestedTabId);
+    const entries = timed.filter(entry => !entry.event.tabId || !tabId || entry.event.tabId === tabId);
+
+    return { sessionData: sessionData, entries: entries, tabId: tabId, tabIds: tabIds };
+  }
+
+  // Console batches carry their own per-log timestamps; expand them so each
+  // entry appears at the moment it was written.
+  function expandConsoleLogs(entries) {
+    const expanded = [];
+    entries.forEach(entry => {
+      const consoleLogs = entry.event.eventType === 'console_logs' && entry.event.metadata?.consoleLogs;
+      if (!Array.isArray(consoleLogs)) {
+        expanded.push(entry);
+        return;
+      }
+      consoleLogs.forEach(consoleLog => {
+        const time = Date.parse(consoleLog.timestamp);
+        expanded.push({
+          event: { eventType: 'console_entry', consoleEntry: consoleLog },
+          time: isNaN(time) ? entry.time : time,
+          index: entry.index
+        });
+      });
+    });
+    expanded.sort((a, b) => (a.time - b.time) || (a.index - b.index));
+    return expanded;
+  }
+
+  function findIdleGaps(entries, startTime, threshold) {
+    const gaps = [];
+    let lastActive = 0;
+    entries.forEach(entry => {
+      if (!ACTIVITY_EVENT_TYPES.includes(entry.event.eventType)) return;
+      const offset = entry.time - startTime;
+      if (offset - lastActive > threshold) {
+        gaps.push({ start: lastActive, end: offset });
+      }
+      lastActive = offset;
+    });
+    return gaps;
+  }
+
+  function buildTimeline(input, options) {
+    const { sessionData, entries, tabId, tabIds } = normalizeEvents(input, options.tabId);
+    const expanded = expandConsoleLogs(entries);
+    const startTime = expanded.length > 0 ? expanded[0].time : 0;
+    const endTime = expanded.length > 0 ? expanded[expanded.length - 1].time : 0;
+
+    return {
+      sessionData: sessionData,
+      tabId: tabId,
+      tabIds: tabIds,
+      startTime: startTime,
+      duration: endTime - startTime,
+      items: expanded.map(entry => ({ offset: entry.time - startTime, event: entry.event })),
+      idleGaps: findIdleGaps(expanded, startTime, options.idleThreshold)
+    };
+  }
+
+  // ============================================================================
+  // DOM RECONSTRUCTION
+  // ============================================================================
+
+  function isUnsafeAttribute(name, value) {
+    if (/^on/i.test(name)) return true;
+    return /^(href|src|action|formaction|xlink:href)$/i.test(name) && /^\s*javascript:/i.test(value || '');
+  }
+
+  function createDomRenderer(iframe) {
+    const nodesById = new Map();
+
+    function getDocument() {
+      return iframe.contentDocument;
+    }
+
+    function buildNode(serialized, doc) {
+      let node = null;
+      switch (serialized.type) {
+        case 3:
+          node = doc.createTextNode(serialized.text || '');
+          break;
+        case 8:
+          node = doc.createComment('');
+          break;
+        case 1: {
+          const tagName = serialized.tagName === 'script' ? 'noscript' : serialized.tagName;
+          try {
+            node = serialized.namespace ?
+              doc.createElementNS(serialized.namespace, tagName) :
+              doc.createElement(tagName);
+          } catch (error) {
+            node = doc.createElement('div');
+          }
+          Object.keys(serialized.attributes || {}).forEach(name => {
+            setAttributeSafe(node, name, serialized.attributes[name]);
+          });
+          break;
+        }
+        default:
+          return null;
+      }
+
+      nodesById.set(serialized.id, node);
+      (serialized.childNodes || []).forEach(child => {
+        const childNode = buildNode(child, doc);
+        if (childNode) node.appendChild(childNode);
+      });
+      return node;
+    }
+
+    function setAttributeSafe(node, name, value) {
+      if (isUnsafeAttribute(name, value)) return;
+      try {
+        if (value === null) {
+          node.removeAttribute(name);
+        } else {
+          node.setAttribute(name, value);
+        }
+      } catch (error) {
+        // Attribute names that are valid in the source DOM may be rejected here
+        log('Skipping attribute:', name, error.message);
+      }
+    }
+
+    function ensureBase(doc, pageUrl) {
+      if (!pageUrl || !doc.head) return;
+      let base = doc.head.querySelector('base[data-whys-player]');
+      if (!base) {
+        base = doc.createElement('base');
+        base.setAttribute('data-whys-player', '');
+        doc.head.insertBefore(base, doc.head.firstChild);
+      }
+      base.setAttribute('href', pageUrl);
+    }
+
+    function renderSnapshot(domSnapshot, pageUrl) {
+      const doc = getDocument();
+      if (!doc || !domSnapshot || !domSnapshot.node) return false;
+
+      nodesById.clear();
+      doc.open();
+      doc.write('<!DOCTYPE html><html><head></head><body></body></html>');
+      doc.close();
+
+      const root = domSnapshot.node;
+      nodesById.set(root.id, doc);
+      const htmlNode = (root.childNodes || []).find(child => child.type === 1);
+      if (htmlNode) {
+        const element = buildNode(htmlNode, doc);
+        if (element) doc.replaceChild(element, doc.documentElement);
+      }
+      ensureBase(doc, pageUrl);
+      return true;
+    }
+
+    function applyMutations(domMutations) {
+      const doc = getDocument();
+      if (!doc || !domMutations) return;
+
+      (domMutations.removes || []).forEach(remove => {
+        const node = nodesById.get(remove.id);
+        if (node && node.parentNode) {
+          node.parentNode.removeChild(node);
+        }
+      });
+
+      (domMutations.adds || []).forEach(add => {
+        const parent = nodesById.get(add.parentId);
+        if (!parent) return;
+        const node = buildNode(add.node, doc);
+        if (!node) return;
+        const next = add.nextId !== null ? nodesById.get(add.nextId) : null;
+        if (next && next.parentNode === parent) {
+          parent.insertBefore(node, next);
+        } else {
+          parent.appendChild(node);
+        }
+      });
+
+      (domMutations.attributes || []).forEach(change => {
+        const node = nodesById.get(change.id);
+        if (node && node.nodeType === 1) {
+          setAttributeSafe(node, change.name, change.value);
+        }
+      });
+
+      (domMutations.texts || []).forEach(change => {
+        const node = nodesById.get(change.id);
+        if (node) node.textContent = change.value;
+      });
+    }
+
+    function scrollTo(position) {
+      if (!position || !iframe.contentWindow) return;
+      try {
+        iframe.contentWindow.scrollTo(position.x || 0, position.y || 0);
+      } catch (error) {
+        log('Unable to apply scroll position:', error.message);
+      }
+    }
+
+    return {
+      renderSnapshot: renderSnapshot,
+      applyMutations: applyMutations,
+      scrollTo: scrollTo
+    };
+  }
+
+  // ============================================================================
+  // PLAYER UI
+  // ============================================================================
+
+  function parseSize(value, fallback) {
+    const match = /^(\d+)x(\d+)$/.exec(value || '');
+    return match ? { width: parseInt(match[1]), height: parseInt(match[2]) } : fallback;
+  }
+
+  function formatTime(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes + ':' + (seconds < 10 ? '0' : '') + seconds;
+  }
+
+  function createElement(tag, styles, attributes) {
+    const element = document.createElement(tag);
+    Object.assign(element.style, styles || {});
+    Object.keys(attributes || {}).forEach(name => element.setAttribute(name, attributes[name]));
+    return element;
+  }
+
+  function buildLayout(container, viewport, showControls) {
+    const root = createElement('div', {
+      position: 'relative',
+      fontFamily: 'system-ui, sans-serif',
+      fontSize: '12px',
+      background: '#111',
+      color: '#eee'
+    }, { 'data-whys-player': '' });
+
+    const urlBar = createElement('div', { padding: '4px 8px', background: '#222', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' });
+
+    const stage = createElement('div', { position: 'relative', overflow: 'hidden' });
+    const frameWrapper = createElement('div', {
+      position: 'relative',
+      width: viewport.width + 'px',
+      height: viewport.height + 'px',
+      transformOrigin: '0 0'
+    });
+    // No allow-scripts: recorded markup can never execute
+    const iframe = createElement('iframe', {
+      width: viewport.width + 'px',
+      height: viewport.height + 'px',
+      border: '0',
+      background: '#fff'
+    }, { sandbox: 'allow-same-origin' });
+    const overlay = createElement('div', { position: 'absolute', inset: '0', pointerEvents: 'none' });
+    const cursor = createElement('div', {
+      position: 'absolute',
+      width: '12px',
+      height: '12px',
+      marginLeft: '-6px',
+      marginTop: '-6px',
+      borderRadius: '50%',
+      background: 'rgba(255, 80, 80, 0.9)',
+      transition: 'left 0.2s, top 0.2s',
+      display: 'none'
+    });
+    overlay.appendChild(cursor);
+    frameWrapper.appendChild(iframe);
+    frameWrapper.appendChild(overlay);
+    stage.appendChild(frameWrapper);
+
+    const controls = createElement('div', { display: showControls ? 'flex' : 'none', gap: '8px', alignItems: 'center', padding: '6px 8px', background: '#222' });
+    const playButton = createElement('button', {}, { type: 'button' });
+    playButton.textContent = 'Play';
+    const seekBar = createElement('input', { flex: '1' }, { type: 'range', min: '0', max: '0', step: '100', value: '0' });
+    const timeLabel = createElement('span', { minWidth: '80px', textAlign: 'right' });
+    const speedSelect = createElement('select');
+    PLAYER_CONFIG.SPEEDS.forEach(speed => {
+      const option = createElement('option', {}, { value: String(speed) });
+      option.textContent = speed + 'x';
+      speedSelect.appendChild(option);
+    });
+    const skipLabel = createElement('label', { whiteSpace: 'nowrap' });
+    const skipCheckbox = createElement('input', {}, { type: 'checkbox' });
+    skipLabel.appendChild(skipCheckbox);
+    skipLabel.appendChild(document.createTextNode(' Skip idle'));
+    [playButton, seekBar, timeLabel, speedSelect, skipLabel].forEach(element => controls.appendChild(element));
+
+    const consolePanel = createElement('div', { maxHeight: '160px', overflowY: 'auto', background: '#1a1a1a', fontFamily: 'monospace' });
+
+    root.appendChild(urlBar);
+    root.appendChild(stage);
+    root.appendChild(controls);
+    root.appendChild(consolePanel);
+    container.appendChild(root);
+
+    // Scale the recorded viewport down to fit the container width
+    const available = container.clientWidth || viewport.width;
+    const scale = Math.min(1, available / viewport.width);
+    frameWrapper.style.transform = 'scale(' + scale + ')';
+    stage.style.height = Math.ceil(viewport.height * scale) + 'px';
+
+    return {
+      root, urlBar, iframe, overlay, cursor, playButton, seekBar, timeLabel,
+      speedSelect, skipCheckbox, consolePanel
+    };
+  }
+
+  // ============================================================================
+  // PLAYER
+  // ============================================================================
+
+  function createPlayer(container, input, options = {}) {
+    if (!container || !container.appendChild) {
+      throw new Error('WhysPlayer: a container element is required');
+    }
+
+    const settings = {
+      speed: options.speed || PLAYER_CONFIG.DEFAULT_SPEED,
+      skipIdle: options.skipIdle !== undefined ? !!options.skipIdle : true,
+      idleThreshold: options.idleThreshold || PLAYER_CONFIG.IDLE_THRESHOLD,
+      tabId: options.tabId || null,
+      controls: options.controls !== false
+    };
+
+    const timeline = buildTimeline(input, settings);
+    const viewport = parseSize(options.viewportSize || timeline.sessionData?.viewportSize, { width: 1280, height: 720 });
+    const ui = buildLayout(container, viewport, settings.controls);
+    const renderer = createDomRenderer(ui.iframe);
+    const listeners = {};
+
+    let currentTime = 0;
+    let nextIndex = 0;       // First timeline item not yet applied
+    let playing = false;
+    let frameRequest = null;
+    let lastFrameTime = null;
+    let destroyed = false;
+
+    function emit(name, payload) {
+      (listeners[name] || []).forEach(handler => {
+        try {
+          handler(payload);
+        } catch (error) {
+          log('Listener error:', name, error);
+        }
+      });
+    }
+
+    // ---- Applying events -------------------------------------------------
+
+    function showCursor(coordinates) {
+      ui.cursor.style.display = 'block';
+      ui.cursor.style.left = (coordinates.x || 0) + 'px';
+      ui.cursor.style.top = (coordinates.y || 0) + 'px';
+    }
+
+    function showClickMarker(coordinates) {
+      const marker = createElement('div', {
+        position: 'absolute',
+        left: (coordinates.x || 0) - 15 + 'px',
+        top: (coordinates.y || 0) - 15 + 'px',
+        width: '30px',
+        height: '30px',
+        borderRadius: '50%',
+        border: '2px solid rgba(255, 80, 80, 0.9)',
+        transition: 'opacity ' + PLAYER_CONFIG.CLICK_MARKER_DURATION + 'ms',
+        opacity: '1'
+      });
+      ui.overlay.appendChild(marker);
+      setTimeout(() => { marker.style.opacity = '0'; }, 0);
+      setTimeout(() => marker.remove(), PLAYER_CONFIG.CLICK_MARKER_DURATION);
+    }
+
+    function appendConsoleEntry(entry) {
+      const colors = { error: '#ff6b6b', warn: '#ffd166', info: '#8ecae6', log: '#ddd' };
+      const line = createElement('div', { padding: '2px 8px', color: colors[entry.level] || '#ddd', borderBottom: '1px solid #2a2a2a' });
+      line.textContent = '[' + (entry.level || 'log') + '] ' + (entry.messages || []).join(' ');
+      ui.consolePanel.appendChild(line);
+      while (ui.consolePanel.childNodes.length > PLAYER_CONFIG.MAX_CONSOLE_ENTRIES) {
+        ui.consolePanel.removeChild(ui.consolePanel.firstChild);
+      }
+      ui.consolePanel.scrollTop = ui.consolePanel.scrollHeight;
+    }
+
+    function setUrl(url) {
+      ui.urlBar.textContent = url || '';
+    }
+
+    // `live` is false while fast-forwarding during a seek, so transient
+    // effects (click ripples) are only drawn during real playback.
+    function applyEvent(event, live) {
+      switch (event.eventType) {
+        case 'dom_snapshot':
+          if (event.domSnapshot && event.domSnapshot.node) {
+            renderer.renderSnapshot(event.domSnapshot, event.pageUrl);
+            renderer.scrollTo(event.domSnapshot.initialScroll);
+          }
+          break;
+        case 'dom_mutation':
+          renderer.applyMutations(event.domMutations);
+          break;
+        case 'click':
+          if (event.clickCoordinates) {
+            showCursor(event.clickCoordinates);
+            if (live) showClickMarker(event.clickCoordinates);
+          }
+          break;
+        case 'scroll':
+          renderer.scrollTo(event.scrollPosition);
+          break;
+        case 'navigation':
+          if (event.navigationData) setUrl(event.navigationData.to);
+          break;
+        case 'console_entry':
+          appendConsoleEntry(event.consoleEntry);
+          break;
+      }
+      if (event.pageUrl && event.eventType !== 'navigation') {
+        setUrl(event.pageUrl);
+      }
+      if (live) emit('event', event);
+    }
+
+    function applyUntil(time, live) {
+      while (nextIndex < timeline.items.length && timeline.items[nextIndex].offset <= time) {
+        applyEvent(timeline.items[nextIndex].event, live);
+        nextIndex++;
+      }
+    }
+
+    // Rebuild state from scratch (latest usable snapshot before `time`) then replay forward
+    function rebuildTo(time) {
+      ui.consolePanel.textContent = '';
+      ui.cursor.style.display = 'none';
+      nextIndex = 0;
+
+      let snapshotIndex = -1;
+      for (let i = 0; i < timeline.items.length && timeline.items[i].offset <= time; i++) {
+        const event = timeline.items[i].event;
+        if (event.eventType === 'dom_snapshot' && event.domSnapshot && event.domSnapshot.node) {
+          snapshotIndex = i;
+        }
+      }
+
+      // Non-DOM state (console, URL) still needs the full history
+      for (; nextIndex < timeline.items.length && timeline.items[nextIndex].offset <= time; nextIndex++) {
+        const event = timeline.items[nextIndex].event;
+        const isDomEvent = event.eventType === 'dom_snapshot' || event.eventType === 'dom_mutation';
+        if (isDomEvent && nextIndex < snapshotIndex) continue;
+        applyEvent(event, false);
+      }
+    }
+
+    // ---- Playback loop ---------------------------------------------------
+
+    function findIdleGap(time) {
+      return timeline.idleGaps.find(gap => time >= gap.start && time < gap.end - PLAYER_CONFIG.IDLE_LEAD_TIME);
+    }
+
+    function updateControls() {
+      ui.seekBar.max = String(timeline.duration);
+      ui.seekBar.value = String(Math.floor(currentTime));
+      ui.timeLabel.textContent = formatTime(currentTime) + ' / ' + formatTime(timeline.duration);
+      ui.playButton.textContent = playing ? 'Pause' : 'Play';
+      ui.speedSelect.value = String(settings.speed);
+      ui.skipCheckbox.checked = settings.skipIdle;
+    }
+
+    function tick(frameTime) {
+      if (!playing || destroyed) return;
+      if (lastFrameTime !== null) {
+        currentTime += (frameTime - lastFrameTime) * settings.speed;
+      }
+      lastFrameTime = frameTime;
+
+      if (settings.skipIdle) {
+        const gap = findIdleGap(currentTime);
+        if (gap) {
+          log('Skipping idle gap:', gap);
+          emit('skip', { from: currentTime, to: gap.end - PLAYER_CONFIG.IDLE_LEAD_TIME });
+          currentTime = gap.end - PLAYER_CONFIG.IDLE_LEAD_TIME;
+        }
+      }
+
+      if (currentTime >= timeline.duration) {
+        currentTime = timeline.duration;
+        applyUntil(currentTime, true);
+        pause();
+        updateControls();
+        emit('end');
+        return;
+      }
+
+      applyUntil(currentTime, true);
+      updateControls();
+      emit('timeupdate', currentTime);
+      frameRequest = requestAnimationFrame(tick);
+    }
+
+    function play() {
+      if (playing || destroyed) return;
+      if (currentTime >= timeline.duration) {
+        seek(0);
+      }
+      playing = true;
+      lastFrameTime = null;
+      frameRequest = requestAnimationFrame(tick);
+      updateControls();
+      emit('play');
+    }
+
+    function pause() {
+      if (!playing) return;
+      playing = false;
+      if (frameRequest) {
+        cancelAnimationFrame(frameRequest);
+        frameRequest = null;
+      }
+      updateControls();
+      emit('pause');
+    }
+
+    function seek(time) {
+      if (destroyed) return;
+      const target = Math.min(Math.max(0, Number(time) || 0), timeline.duration);
+      if (target < currentTime || nextIndex === 0) {
+        rebuildTo(target);
+      } else {
+        applyUntil(target, false);
+      }
+      currentTime = target;
+      lastFrameTime = null;
+      updateControls();
+      emit('timeupdate', currentTime);
+    }
+
+    function setSpeed(speed) {
+      const value = Number(speed);
+      if (!(value > 0)) return;
+      settings.speed = value;
+      updateControls();
+    }
+
+    function setSkipIdle(enabled) {
+      settings.skipIdle = !!enabled;
+      updateControls();
+    }
+
+    function destroy() {
+      pause();
+      destroyed = true;
+      ui.root.remove();
+      Object.keys(listeners).forEach(name => delete listeners[name]);
+    }
+
+    // ---- Wiring ----------------------------------------------------------
+
+    ui.playButton.addEventListener('click', () => (playing ? pause() : play()));
+    ui.seekBar.addEventListener('input', () => seek(parseInt(ui.seekBar.value)));
+    ui.speedSelect.addEventListener('change', () => setSpeed(ui.speedSelect.value));
+    ui.skipCheckbox.addEventListener('change', () => setSkipIdle(ui.skipCheckbox.checked));
+
+    setUrl(timeline.sessionData?.pageUrl);
+    seek(0);
+
+    if (options.autoplay) {
+      play();
+    }
+
+    return {
+      play: play,
+      pause: pause,
+      seek: seek,
+      setSpeed: setSpeed,
+      setSkipIdle: setSkipIdle,
+      destroy: destroy,
+      isPlaying: () => playing,
+      getCurrentTime: () => currentTime,
+      getDuration: () => timeline.duration,
+      getIdleGaps: () => timeline.idleGaps.map(gap => ({ ...gap })),
+      getTabId: () => timeline.tabId,
+      getTabIds: () => timeline.tabIds.slice(),
+      on: function(name, handler) {
+        (listeners[name] = listeners[name] || []).push(handler);
+        return this;
+      },
+      off: function(name, handler) {
+        listeners[name] = (listeners[name] || []).filter(existing => existing !== handler);
+        return this;
+      }
+    };
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  const WhysPlayer = {
+    version: '1.0.0',
+    create: createPlayer,
+    // Exposed for tooling that wants the timeline without rendering it
+    buildTimeline: function(input, options = {}) {
+      return buildTimeline(input, {
+        idleThreshold: options.idleThreshold || PLAYER_CONFIG.IDLE_THRESHOLD,
+        tabId: options.tabId || null
+      });
+    }
+  };
+
+  if (typeof window !== 'undefined') {
+    window.WhysPlayer = WhysPlayer;
+  }
+
+})();
@@ -16,6 +16,356 @@
 (function() {
   'use strict';
 
+  // ============================================================================
+  // SHARED PAGE HOOKS
+  // ============================================================================
+  // State here is shared by every recorder instance on the page (the default
+  // WhysRecorder and those from createInstance). Each DOM event gets one real
+  // listener, and history, console, fetch and XMLHttpRequest are patched once;
+  // instances subscribe and unsubscribe, and the hook is removed when the last
+  // one leaves. Instance handlers guard
+  // themselves with safeExecute; the try/catch only keeps one instance from
+  // starving the others.
+
+  const sharedListeners = new Map(); // target -> Map("type|capture" -> { listener, handlers })
+  const historySubscribers = new Set();
+  let originalPushState = null;
+  let originalReplaceState = null;
+  let patchedPushState = null;
+  let patchedReplaceState = null;
+  let sendingViaTransport = false; // Set during the synchronous part of any instance's transport call
+
+  function isCaptureListener(options) {
+    return typeof options === 'boolean' ? options : !!(options && options.capture);
+  }
+
+  function addSharedListener(target, type, handler, options) {
+    let listeners = sharedListeners.get(target);
+    if (!listeners) {
+      listeners = new Map();
+      sharedListeners.set(target, listeners);
+    }
+
+    const key = `${type}|${isCaptureListener(options)}`;
+    let entry = listeners.get(key);
+    if (!entry) {
+      const handlers = new Set();
+      entry = {
+        handlers: handlers,
+        listener: function(event) {
+          Array.from(handlers).forEach(sharedHandler => {
+            try {
+              sharedHandler.call(this, event);
+            } catch (e) {
+              // Never let one instance break the others or the host
+            }
+          });
+        }
+      };
+      listeners.set(key, entry);
+      target.addEventListener(type, entry.listener, options);
+    }
+    entry.handlers.add(handler);
+  }
+
+  function removeSharedListener(target, type, handler, options) {
+    const listeners = sharedListeners.get(target);
+    const key = `${type}|${isCaptureListener(options)}`;
+    const entry = listeners && listeners.get(key);
+    if (!entry) return;
+
+    entry.handlers.delete(handler);
+    if (entry.handlers.size === 0) {
+      target.removeEventListener(type, entry.listener, isCaptureListener(options));
+      listeners.delete(key);
+    }
+  }
+
+  function notifyHistoryChange() {
+    Array.from(historySubscribers).forEach(callback => {
+      try {
+        callback();
+      } catch (e) {
+        // Never let one instance break the others or the host
+      }
+    });
+  }
+
+  // pushState/replaceState don't fire events, so SPA navigation is detected by
+  // patching them. The host's call always goes through, even if every
+  // recorder has been disabled meanwhile.
+  function subscribeHistoryChanges(callback) {
+    historySubscribers.add(callback);
+    if (patchedPushState) return;
+
+    originalPushState = history.pushState;
+    originalReplaceState = history.replaceState;
+
+    patchedPushState = function(...args) {
+      const result = originalPushState.apply(this, args);
+      setTimeout(notifyHistoryChange, 0);
+      return result;
+    };
+
+    patchedReplaceState = function(...args) {
+      const result = originalReplaceState.apply(this, args);
+      setTimeout(notifyHistoryChange, 0);
+      return result;
+    };
+
+    history.pushState = patchedPushState;
+    history.replaceState = patchedReplaceState;
+  }
+
+  function unsubscribeHistoryChanges(callback) {
+    historySubscribers.delete(callback);
+    if (historySubscribers.size > 0 || !patchedPushState) return;
+
+    // Only unpatch if nobody patched on top of us
+    if (history.pushState === patchedPushState) history.pushState = originalPushState;
+    if (history.replaceState === patchedReplaceState) history.replaceState = originalReplaceState;
+    patchedPushState = null;
+    patchedReplaceState = null;
+  }
+
+  // Console methods are patched per level. A patch that someone else wrapped
+  // on top of stays installed (with no subscribers) so their wrapper keeps working.
+  const consoleSubscribers = new Map(); // level -> Set(callback(level, args))
+  const originalConsoleMethods = {};
+  const patchedConsoleMethods = {};
+
+  function subscribeConsole(level, callback) {
+    if (typeof console[level] !== 'function') return;
+
+    let subscribers = consoleSubscribers.get(level);
+    if (!subscribers) {
+      subscribers = new Set();
+      consoleSubscribers.set(level, subscribers);
+    }
+    subscribers.add(callback);
+    if (patchedConsoleMethods[level]) return;
+
+    const original = console[level];
+    originalConsoleMethods[level] = original;
+    patchedConsoleMethods[level] = function(...args) {
+      // Call original function first (preserve normal console behavior)
+      const result = original.apply(console, args);
+      Array.from(subscribers).forEach(subscriber => {
+        try {
+          subscriber(level, args);
+        } catch (e) {
+          // Never let one instance break the others or the host
+        }
+      });
+      return result;
+    };
+    console[level] = patchedConsoleMethods[level];
+  }
+
+  function unsubscribeConsole(level, callback) {
+    const subscribers = consoleSubscribers.get(level);
+    if (!subscribers) return;
+    subscribers.delete(callback);
+    if (subscribers.size > 0 || !patchedConsoleMethods[level]) return;
+
+    if (console[level] === patchedConsoleMethods[level]) {
+      console[level] = originalConsoleMethods[level];
+      delete patchedConsoleMethods[level];
+      delete originalConsoleMethods[level];
+    }
+  }
+
+  // fetch and XMLHttpRequest are wrapped once. Each subscriber sees every host
+  // request ({ initiator, method, url, body }) and may return a callback that
+  // receives its outcome ({ status, responseSize, error }). The host always
+  // gets the original call and its untouched result.
+  const networkSubscribers = new Set();
+  const xhrRequests = new WeakMap();
+  let originalFetch = null;
+  let wrappedFetch = null;
+  let originalXhrOpen = null;
+  let originalXhrSend = null;
+  let wrappedXhrOpen = null;
+  let wrappedXhrSend = null;
+  // Bodies handed to a transport that is still running. Transports may await
+  // before they fetch, past sendingViaTransport, so their requests are also
+  // recognised by carrying one of these bodies.
+  const transportBodies = new Map(); // body -> number of transport calls sending it
+
+  function markTransportBody(body) {
+    if (body === null || body === undefined) return;
+    transportBodies.set(body, (transportBodies.get(body) || 0) + 1);
+  }
+
+  function releaseTransportBody(body) {
+    const count = transportBodies.get(body);
+    if (count > 1) {
+      transportBodies.set(body, count - 1);
+    } else {
+      transportBodies.delete(body);
+    }
+  }
+
+  function getContentLength(getHeader) {
+    const value = parseInt(getHeader('Content-Length'));
+    return isNaN(value) ? null : value;
+  }
+
+  function notifyNetworkRequest(request) {
+    request.fromTransport = sendingViaTransport ||
+      (request.body !== null && request.body !== undefined && transportBodies.has(request.body));
+    const callbacks = [];
+    Array.from(networkSubscribers).forEach(subscriber => {
+      try {
+        const callback = subscriber(request);
+        if (typeof callback === 'function') callbacks.push(callback);
+      } catch (e) {
+        // Never let one instance break the others or the host
+      }
+    });
+    return callbacks;
+  }
+
+  function notifyNetworkOutcome(callbacks, getOutcome) {
+    try {
+      const outcome = getOutcome();
+      callbacks.forEach(callback => {
+        try {
+          callback(outcome);
+        } catch (e) {
+          // Never let one instance break the others or the host
+        }
+      });
+    } catch (e) {
+      // Unreadable response; nothing to report
+    }
+  }
+
+  function wrapFetch() {
+    originalFetch = window.fetch;
+    wrappedFetch = function(input, init) {
+      let callbacks = [];
+      try {
+        const url = typeof input === 'string' ? input : (input && input.url) || String(input);
+        callbacks = notifyNetworkRequest({
+          initiator: 'fetch',
+          method: ((init && init.method) || (input && input.method) || 'GET').toUpperCase(),
+          url: String(url),
+          body: init ? init.body : null
+        });
+      } catch (e) {
+        // Never break the host's request
+      }
+
+      const promise = originalFetch.apply(this, arguments);
+      if (callbacks.length > 0 && promise && typeof promise.then === 'function') {
+        promise.then(
+          response => notifyNetworkOutcome(callbacks, () => ({
+            status: response.status,
+            responseSize: getContentLength(name => response.headers && response.headers.get(name)),
+            error: null
+          })),
+          error => notifyNetworkOutcome(callbacks, () => ({
+            status: 0,
+            responseSize: null,
+            error: error || new Error('fetch failed')
+          }))
+        );
+      }
+      return promise;
+    };
+    window.fetch = wrappedFetch;
+  }
+
+  function wrapXhr() {
+    const proto = XMLHttpRequest.prototype;
+    originalXhrOpen = proto.open;
+    originalXhrSend = proto.send;
+
+    wrappedXhrOpen = function(method, url) {
+      try {
+        xhrRequests.set(this, { method: String(method || 'GET').toUpperCase(), url: String(url) });
+      } catch (e) {
+        // Never break the host's request
+      }
+      return originalXhrOpen.apply(this, arguments);
+    };
+
+    wrappedXhrSend = function(body) {
+      try {
+        const opened = xhrRequests.get(this);
+        const callbacks = opened ? notifyNetworkRequest({
+          initiator: 'xhr',
+          method: opened.method,
+          url: opened.url,
+          body: body
+        }) : [];
+
+        if (callbacks.length > 0) {
+          const xhr = this;
+          let failure = null;
+          xhr.addEventListener('error', () => { failure = 'error'; });
+          xhr.addEventListener('abort', () => { failure = 'abort'; });
+          xhr.addEventListener('timeout', () => { failure = 'timeout'; });
+          xhr.addEventListener('loadend', () => {
+            notifyNetworkOutcome(callbacks, () => {
+              let responseSize = getContentLength(name => xhr.getResponseHeader(name));
+              if (responseSize === null && (xhr.responseType === '' || xhr.responseType === 'text')) {
+                responseSize = xhr.responseText ? xhr.responseText.length : 0;
+              }
+              return { status: xhr.status, responseSize: responseSize, error: failure };
+            });
+          });
+        }
+      } catch (e) {
+        // Never break the host's request
+      }
+      return originalXhrSend.apply(this, arguments);
+    };
+
+    proto.open = wrappedXhrOpen;
+    proto.send = wrappedXhrSend;
+  }
+
+  function subscribeNetworkRequests(subscriber) {
+    networkSubscribers.add(subscriber);
+    if (!wrappedFetch && typeof window.fetch === 'function') wrapFetch();
+    if (!wrappedXhrSend && typeof XMLHttpRequest !== 'undefined') wrapXhr();
+  }
+
+  // Wrappers someone else wrapped on top of stay installed (idle) so their
+  // wrapper keeps working and the next subscriber reuses them
+  function unsubscribeNetworkRequests(subscriber) {
+    networkSubscribers.delete(subscriber);
+    if (networkSubscribers.size > 0) return;
+
+    if (wrappedFetch && window.fetch === wrappedFetch) {
+      window.fetch = originalFetch;
+      wrappedFetch = null;
+      originalFetch = null;
+    }
+    if (wrappedXhrSend) {
+      const proto = XMLHttpRequest.prototype;
+      if (proto.open === wrappedXhrOpen && proto.send === wrappedXhrSend) {
+        proto.open = originalXhrOpen;
+        proto.send = originalXhrSend;
+        wrappedXhrOpen = null;
+        wrappedXhrSend = null;
+        originalXhrOpen = null;
+        originalXhrSend = null;
+      }
+    }
+  }
+
+  // ============================================================================
+  // RECORDER INSTANCE
+  // ============================================================================
+  // Everything below is per instance: config, IDs, queues, timers and
+  // transport. createRecorder(true) is the global WhysRecorder; createInstance
+  // builds the others. The body keeps the indentation it had before it was
+  // wrapped in the factory.
+
+  function createRecorder(isDefaultInstance) {
   // ============================================================================
   // PHASE 1 FAIL-SAFE SYSTEM
   // ============================================================================
@@ -34,15 +384,26 @@
     BATCH_SIZE: 50,
     BATCH_TIMEOUT: 5000, // 5 seconds
     
+    // Transport used for batches, health events and the disable notification
+    TRANSPORT: 'fetch',              // 'fetch', 'beacon', 'websocket' or a custom function(request)
+    TRANSPORT_HEADERS: {},           // Extra headers on every request (e.g. an ingest key)
+    WEBSOCKET_URL: null,             // Endpoint for the 'websocket' transport
+    
     // PHASE 1 SAFETY LIMITS (Conservative values)
     MAX_PAYLOAD_SIZE: 500 * 1024,     // 500KB - prevent large payloads
+    BEACON_MAX_BYTES: 60 * 1024,      // Unload byte budget, below the ~64KB beacon/keepalive quota
     MAX_EVENT_QUEUE_SIZE: 5000,       // 5000 events - prevent memory leaks
     MAX_NETWORK_TIMEOUT: 30000,       // 30 seconds - conservative timeout
     MAX_NETWORK_ERRORS: 50,           // Increased for debugging console logs
     MAX_STORAGE_ERRORS: 5,            // localStorage error tolerance
+    MAX_PROPERTIES_SIZE: 4 * 1024,    // Cap per set of super properties, user traits or session properties
     
     // Existing timeouts
     INACTIVITY_TIMEOUT: 30 * 60 * 1000, // 30 minutes
+    TAB_HIDDEN_TIMEOUT: 10 * 60 * 1000, // End the session after the tab is hidden this long
+    MAX_SESSION_DURATION: null,      // Absolute session length (ms); null for no limit
+    SESSION_ROLLOVER: null,          // 'midnight' starts a new session at local midnight
+    ACTIVITY_EVENTS: [],             // Extra activity signals: 'keydown', 'mousemove', 'touchstart'
     INACTIVITY_CHECK_INTERVAL: 60 * 1000, // 1 minute
     
     // Enhanced debugging for Phase 1
@@ -56,6 +417,70 @@
     CONSOLE_LOG_LEVELS: ['error', 'warn', 'info', 'log'], // Capture all console levels for comprehensive logging
     EXCLUDE_RECORDER_LOGS: true,     // Filter out recorder's own debug logs
     
+    // JavaScript error capturing
+    CAPTURE_JS_ERRORS: true,         // Record uncaught errors and unhandled rejections
+    MAX_JS_ERRORS_PER_SESSION: 100,  // Stop recording errors after this many (error loops)
+    MAX_STACK_FRAMES: 20,            // Parsed frames kept per error
+    
+    // Host network request capturing (fetch / XMLHttpRequest)
+    CAPTURE_NETWORK: true,           // Record network_request events for host API calls
+    NETWORK_URL_ALLOWLIST: [],       // If non-empty, only URLs matching these patterns are recorded
+    NETWORK_URL_DENYLIST: [],        // URLs matching these patterns are never recorded
+    
+    // Core Web Vitals (LCP, CLS, INP, FCP, TTFB) + Navigation Timing
+    CAPTURE_WEB_VITALS: true,        // One web_vitals event per page view, finalized when hidden
+    
+    // Frustration signals derived from clicks
+    DETECT_FRUSTRATION: true,        // Emit rage_click / dead_click / error_click events
+    RAGE_CLICK_COUNT: 3,             // Clicks needed to count as a rage click
+    RAGE_CLICK_RADIUS: 30,           // Max distance between those clicks (px)
+    RAGE_CLICK_WINDOW: 1000,         // Time window for those clicks (ms)
+    DEAD_CLICK_WINDOW: 1000,         // No DOM/navigation/network response within this is dead (ms)
+    ERROR_CLICK_WINDOW: 1000,        // A JS error within this after a click is an error click (ms)
+    
+    // Form analytics
+    CAPTURE_FORMS: true,             // Field focus/blur, submit outcome, invalid and abandonment events
+    FORM_VALIDATION_CHECK_DELAY: 500, // Wait before checking app-level validation on script-handled submits (ms)
+    
+    // URL sanitization (pageUrl, navigation, referrer, console URLs)
+    SCRUB_URLS: true,                // Redact secret params, emails and UUIDs from recorded URLs
+    URL_PARAM_ALLOWLIST: [],         // Parameter names never redacted (string or RegExp)
+    URL_PARAM_DENYLIST: [],          // Extra parameter names always redacted (string or RegExp)
+    URL_PATH_REDACTIONS: [],         // Path rules like '/reset/*' or RegExps tested per segment
+    
+    // Consent management
+    REQUIRE_CONSENT: false,          // Buffer in memory, no storage or sending until setConsent(true)
+    HONOR_GLOBAL_PRIVACY_CONTROL: true, // navigator.globalPrivacyControl denies consent
+    TCF_INTEGRATION: false,          // Follow IAB TCF v2 consent from window.__tcfapi
+    TCF_PURPOSES: [1],               // TCF purposes that must be consented (1 = store/access device info)
+    TCF_VENDOR_ID: null,             // Optional TCF vendor ID that must also be consented
+    
+    // DOM snapshot & mutation recording for visual replay
+    CAPTURE_DOM: true,               // Full snapshot at session start/navigation + mutation diffs
+    MAX_SNAPSHOT_NODES: 25000,       // Node cap per snapshot or diff
+    DOM_MUTATION_FLUSH_INTERVAL: 500, // Coalesce mutations into one event per interval (ms)
+    
+    // Gzip batch payloads with CompressionStream (plain JSON fallback). Off by
+    // default: the ingest endpoint must allow Content-Encoding and decompress
+    COMPRESS_PAYLOADS: false,
+    
+    // Cross-domain identity
+    ID_STORAGE: 'localStorage',      // 'cookie' shares visitor/session IDs across subdomains
+    COOKIE_DOMAIN: null,             // Parent domain for ID cookies, e.g. '.example.com'
+    COOKIE_MAX_AGE: 365 * 24 * 60 * 60 * 1000, // ID cookie lifetime (1 year)
+    CROSS_DOMAIN_LINKS: [],          // Domains whose links get a whys_xd parameter
+    CROSS_DOMAIN_LINK_TTL: 2 * 60 * 1000, // whys_xd parameters older than this are ignored
+    
+    // Cross-tab coordination
+    CROSS_TAB_SYNC: true,            // Share one session across tabs via BroadcastChannel
+    CROSS_TAB_LEADER_BATCHING: false, // Non-leader tabs hand their events to the leader tab
+    CROSS_TAB_HEARTBEAT_INTERVAL: 5000, // Presence heartbeat between tabs (ms)
+    
+    // Offline queue for undelivered batches
+    OFFLINE_QUEUE: true,             // Persist failed batches to IndexedDB and retry them
+    OFFLINE_QUEUE_MAX_BYTES: 2 * 1024 * 1024, // Total size cap, oldest batches are dropped first
+    OFFLINE_QUEUE_TTL: 24 * 60 * 60 * 1000, // Persisted batches expire after 24 hours
+    
     // Phase 1 Performance optimizations
     LAZY_CONSOLE_CAPTURE: true,      // Initialize console capture on first use
     ADAPTIVE_HEALTH_REPORTING: true, // Adjust health reporting based on activity
@@ -70,7 +495,16 @@
     storageErrors: 0,
     eventsProcessed: 0,
     lastHealthReport: Date.now(),
-    lastEventTime: Date.now() // For adaptive reporting
+    lastEventTime: Date.now(), // For adaptive reporting
+    offlineBatchesPersisted: 0,
+    offlineBatchesRetried: 0,
+    offlineBatchesDropped: 0,
+    bytesBeforeCompression: 0,
+    bytesAfterCompression: 0,
+    beaconRejections: 0,
+    rateLimitedResponses: 0,
+    batchRetries: 0,
+    batchesRejected: 0
   };
   
   // Adaptive health reporting variables
@@ -139,10 +573,16 @@
     }
   }
 
+  let disablingRecorder = false;
+
   function disableRecorder(reason, metadata = {}) {
-    if (recorderDisabled) return; // Already disabled
+    if (recorderDisabled || disablingRecorder) return; // Already disabled
     
-    recorderDisabled = true;
+    // Detach everything and notify while safeExecute still runs; once
+    // recorderDisabled is set every safeExecute-wrapped call becomes a no-op.
+    disablingRecorder = true;
+    stopCapture();
+    teardownTcfIntegration();
     
     const disableEvent = {
       event: 'recorder_disabled',
@@ -153,16 +593,13 @@
       metadata: {
         ...metadata,
         userAgent: navigator.userAgent,
-        url: window.location.href,
+        url: getSanitizedPageUrl(),
         uptime: Date.now() - healthMetrics.startTime
       }
     };
     
     console.warn('[WhysRecorder] DISABLED to protect host website. Reason:', reason, metadata);
     
-    // Restore original console to prevent any interference
-    restoreConsole();
-    
     // Send health event to monitoring system
     sendHealthEvent('recorder_disabled', {
       reason: reason,
@@ -176,19 +613,75 @@
     
     // Try to send disable notification to main endpoint (fail silently if network issues)
     safeExecute(() => {
-      if (typeof fetch !== 'undefined' && CONFIG.API_ENDPOINT) {
+      if (CONFIG.API_ENDPOINT && canSendData()) {
         const controller = new AbortController();
         setTimeout(() => controller.abort(), 5000); // 5 second timeout for disable event
         
-        fetch(CONFIG.API_ENDPOINT, {
-          method: 'POST',
+        sendViaTransport({
+          kind: 'disable',
+          url: CONFIG.API_ENDPOINT,
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(disableEvent),
-          signal: controller.signal,
-          keepalive: true
+          signal: controller.signal
         }).catch(() => {}); // Always fail silently
       }
     }, 'disable_notification');
+    
+    recorderDisabled = true;
+  }
+
+  // ============================================================================
+  // MONOTONIC TIME & CLOCK SKEW
+  // ============================================================================
+  // Wall-clock time (Date.now) jumps when the device clock is adjusted, which
+  // produced negative session durations. Events also carry monotonicTime
+  // (performance.timeOrigin + performance.now(), epoch ms that never goes
+  // backwards), and the offset between that clock and the ingest server's Date
+  // header is estimated per session so the backend can correct skewed clocks.
+
+  let lastMonotonicTime = 0;
+  let sessionMonotonicStart = 0;
+  let clockOffsetSample = null; // { offsetMs, rttMs } with the lowest round trip seen
+
+  function monotonicNow() {
+    let now;
+    if (typeof performance !== 'undefined' && typeof performance.now === 'function' && performance.timeOrigin) {
+      now = performance.timeOrigin + performance.now();
+    } else {
+      now = Date.now();
+    }
+    // Date.now fallback (and rounding) must still never go backwards
+    lastMonotonicTime = Math.max(lastMonotonicTime, now);
+    return lastMonotonicTime;
+  }
+
+  function startSessionClock() {
+    sessionMonotonicStart = monotonicNow();
+    clockOffsetSample = null;
+  }
+
+  function getSessionDuration() {
+    return Math.max(0, Math.round(monotonicNow() - sessionMonotonicStart));
+  }
+
+  // The Date header has 1s resolution, so +500ms centers it; the sample with the
+  // shortest round trip has the smallest error and wins
+  function recordClockOffset(headers, sentAt, receivedAt) {
+    if (!headers || typeof headers.get !== 'function') return;
+    const serverTime = Date.parse(headers.get('Date') || '');
+    if (isNaN(serverTime)) return;
+
+    const rttMs = Math.max(0, receivedAt - sentAt);
+    if (clockOffsetSample && clockOffsetSample.rttMs <= rttMs) return;
+
+    clockOffsetSample = {
+      offsetMs: Math.round(serverTime + 500 - (sentAt + rttMs / 2)),
+      rttMs: Math.round(rttMs)
+    };
+    if (sessionData) {
+      sessionData.clockOffsetMs = clockOffsetSample.offsetMs;
+    }
+    log('Clock offset estimated:', clockOffsetSample);
   }
 
   // ============================================================================
@@ -207,6 +700,9 @@
   }
 
   function safeLocalStorageSet(key, value) {
+    // No storage writes until consent is granted (removals are always allowed)
+    if (!canUseStorage()) return false;
+    
     return safeExecute(() => {
       if (typeof localStorage === 'undefined' || !localStorage) {
         return false;
@@ -226,11 +722,200 @@
     }, 'localStorage.removeItem') || false;
   }
 
+  // First-party cookies let subdomains of COOKIE_DOMAIN share IDs, which
+  // localStorage (per origin) can't
+  function safeCookieGet(name) {
+    return safeExecute(() => {
+      if (typeof document === 'undefined' || !document.cookie) return null;
+      const prefix = `${name}=`;
+      const entry = document.cookie.split(';').map(part => part.trim()).find(part => part.startsWith(prefix));
+      return entry ? decodeURIComponent(entry.slice(prefix.length)) : null;
+    }, 'document.cookie.get') || null;
+  }
+
+  function writeCookie(name, value, maxAgeMs) {
+    return safeExecute(() => {
+      if (typeof document === 'undefined') return false;
+      let cookie = `${name}=${encodeURIComponent(value)}; path=/; max-age=${Math.floor(maxAgeMs / 1000)}; SameSite=Lax`;
+      if (CONFIG.COOKIE_DOMAIN) cookie += `; domain=${CONFIG.COOKIE_DOMAIN}`;
+      if (location.protocol === 'https:') cookie += '; Secure';
+      document.cookie = cookie;
+      return true;
+    }, 'document.cookie.set') || false;
+  }
+
+  function safeCookieSet(name, value) {
+    if (!canUseStorage()) return false;
+    return writeCookie(name, value, CONFIG.COOKIE_MAX_AGE);
+  }
+
+  function safeCookieRemove(name) {
+    return writeCookie(name, '', 0);
+  }
+
+  // Visitor and session IDs: cookie first when ID_STORAGE is 'cookie', with
+  // localStorage kept as a copy so switching modes doesn't lose visitors
+  function usesCookieStorage() {
+    return CONFIG.ID_STORAGE === 'cookie';
+  }
+
+  function getStoredId(key) {
+    return (usesCookieStorage() && safeCookieGet(key)) || safeLocalStorageGet(key);
+  }
+
+  function setStoredId(key, value) {
+    if (usesCookieStorage()) safeCookieSet(key, value);
+    return safeLocalStorageSet(key, value);
+  }
+
+  function removeStoredId(key) {
+    if (usesCookieStorage()) safeCookieRemove(key);
+    return safeLocalStorageRemove(key);
+  }
+
+  // ============================================================================
+  // CONSENT MANAGEMENT
+  // ============================================================================
+  // With requireConsent, nothing is written to storage and nothing is sent until
+  // consent is granted; events are buffered in memory meanwhile. Denying consent
+  // drops the buffer, purges stored IDs and detaches every listener.
+
+  const CONSENT_STATES = ['pending', 'granted', 'denied'];
+  let consentState = 'pending'; // Resolved by init; nothing is sent or stored before that
+  let consentDecided = false; // setConsent() called explicitly (possibly before init)
+  let tcfListenerId = null;
+
+  function canUseStorage() {
+    return consentState === 'granted';
+  }
+
+  function canSendData() {
+    return consentState === 'granted';
+  }
+
+  function hasGlobalPrivacyControl() {
+    return CONFIG.HONOR_GLOBAL_PRIVACY_CONTROL &&
+      typeof navigator !== 'undefined' && navigator.globalPrivacyControl === true;
+  }
+
+  function normalizeConsent(value) {
+    if (value === true) return 'granted';
+    if (value === false) return 'denied';
+    return CONSENT_STATES.includes(value) ? value : null;
+  }
+
+  function getInitialConsentState() {
+    if (hasGlobalPrivacyControl()) return 'denied';
+    if (consentDecided) return consentState;
+    return CONFIG.REQUIRE_CONSENT ? 'pending' : 'granted';
+  }
+
+  function purgeStoredIds() {
+    if (!projectId) return;
+    [
+      `whys_visitor_${projectId}`,
+      'whys_global_visitor',
+      `whys_session_${projectId}`,
+      `whys_session_timestamp_${projectId}`
+    ].forEach(key => removeStoredId(key));
+    removeStoredId(getSessionStartKey(projectId));
+    safeLocalStorageRemove(getSequenceKey(projectId));
+    safeLocalStorageRemove(getPropertiesKey(projectId));
+    log('Purged stored recorder IDs');
+  }
+
+  // IDs generated while consent was pending only lived in memory
+  function persistCurrentIds() {
+    if (!projectId || !canUseStorage()) return;
+    if (visitorId) setStoredId(`whys_visitor_${projectId}`, visitorId);
+    if (globalVisitorId) setStoredId('whys_global_visitor', globalVisitorId);
+    if (sessionId) {
+      setStoredId(`whys_session_${projectId}`, sessionId);
+      setStoredId(`whys_session_timestamp_${projectId}`, Date.now().toString());
+      persistSessionStart();
+      persistProperties();
+    }
+  }
+
+  function applyConsent(state, source) {
+    if (recorderDisabled) return;
+
+    if (state === 'granted' && hasGlobalPrivacyControl()) {
+      log('Global Privacy Control is enabled, consent cannot be granted');
+      state = 'denied';
+    }
+    if (state === consentState) return;
+
+    safeExecute(() => {
+      const previousState = consentState;
+      consentState = state;
+      log('Consent changed:', previousState, '->', state, 'via', source);
+
+      // Before init the decision is simply remembered for initialization
+      if (!isInitialized) return;
+
+      if (state === 'denied') {
+        eventQueue = [];
+        consoleLogQueue = [];
+        stopCapture();
+        purgeStoredIds();
+        clearOfflineQueue();
+        sessionEnded = true;
+      } else if (state === 'granted') {
+        if (previousState === 'denied') {
+          // Everything was purged: start over with fresh IDs and a new session
+          startNewSession('consent_granted');
+        } else {
+          persistCurrentIds();
+          sendBatch();
+        }
+      }
+    }, 'applyConsent');
+  }
+
+  // IAB TCF v2: consent follows the CMP's purpose (and optional vendor) consents
+  function isTcfConsentGranted(tcData) {
+    if (tcData.gdprApplies === false) return true;
+    const purposeConsents = (tcData.purpose && tcData.purpose.consents) || {};
+    const purposesGranted = CONFIG.TCF_PURPOSES.every(purpose => purposeConsents[purpose] === true);
+    if (!CONFIG.TCF_VENDOR_ID) return purposesGranted;
+    const vendorConsents = (tcData.vendor && tcData.vendor.consents) || {};
+    return purposesGranted && vendorConsents[CONFIG.TCF_VENDOR_ID] === true;
+  }
+
+  function handleTcfEvent(tcData, success) {
+    safeExecute(() => {
+      if (!success || !tcData) return;
+      tcfListenerId = tcData.listenerId;
+      // 'cmpuishown' means the user has not decided yet
+      if (tcData.eventStatus !== 'tcloaded' && tcData.eventStatus !== 'useractioncomplete') return;
+      consentDecided = true;
+      applyConsent(isTcfConsentGranted(tcData) ? 'granted' : 'denied', 'tcf');
+    }, 'tcf_event');
+  }
+
+  function setupTcfIntegration() {
+    if (!CONFIG.TCF_INTEGRATION || tcfListenerId !== null || typeof window.__tcfapi !== 'function') return;
+
+    safeExecute(() => {
+      window.__tcfapi('addEventListener', 2, handleTcfEvent);
+      log('IAB TCF v2 consent integration enabled');
+    }, 'setupTcfIntegration');
+  }
+
+  function teardownTcfIntegration() {
+    if (tcfListenerId === null || typeof window.__tcfapi !== 'function') return;
+
+    safeExecute(() => {
+      window.__tcfapi('removeEventListener', 2, () => {}, tcfListenerId);
+      tcfListenerId = null;
+    }, 'teardownTcfIntegration');
+  }
+
   // ============================================================================
   // CONSOLE LOG CAPTURING
   // ============================================================================
   
-  let originalConsole = {};
   let consoleLogQueue = [];
   let consoleLogCount = 0;
   let consoleInitialized = false; // For lazy loading
@@ -238,29 +923,14 @@
   // Pre-compiled filters for performance (Phase 1 optimization)
   const COMPILED_FILTERS = {
     recorderLogs: /\[WhysRecorder\]|recorder health|batch send|event captured|console log capturing|flushed|health report|initialization|session start|session end|circuit breaker|fail-safe|disabled to protect/i,
-    sensitiveData: /password|token|secret|api_key|apikey|credit card|ssn|social security/i,
-    backendErrors: /negative session duration detected|duration.*-\d+|durationMs.*-\d+|startedAt.*endedAt.*durationMs|invalid session duration|using health metrics fallback/i
+    sensitiveData: /password|token|secret|api_key|apikey|credit card|ssn|social security/i
   };
   
   function setupConsoleCapture() {
     if (!CONFIG.CAPTURE_CONSOLE_LOGS || recorderDisabled || consoleInitialized) return;
     
     return safeExecute(() => {
-      // Store original console methods
-      CONFIG.CONSOLE_LOG_LEVELS.forEach(level => {
-        if (console[level] && typeof console[level] === 'function') {
-          originalConsole[level] = console[level];
-          
-          // Override console method
-          console[level] = function(...args) {
-            // Call original function first (preserve normal console behavior)
-            originalConsole[level].apply(console, args);
-            
-            // Capture the log for our recording
-            captureConsoleLog(level, args);
-          };
-        }
-      });
+      CONFIG.CONSOLE_LOG_LEVELS.forEach(level => subscribeConsole(level, captureConsoleLog));
       
       consoleInitialized = true;
       log('Console log capturing enabled for levels:', CONFIG.CONSOLE_LOG_LEVELS);
@@ -323,10 +993,6 @@
           if (CONFIG.EXCLUDE_RECORDER_LOGS && COMPILED_FILTERS.recorderLogs.test(msgStr)) {
             return false;
           }
-          // Filter out backend API errors that pollute console
-          if (COMPILED_FILTERS.backendErrors.test(msgStr)) {
-            return false;
-          }
           return !COMPILED_FILTERS.sensitiveData.test(msgStr);
         } else {
           // Fallback: Original string-based filtering
@@ -369,7 +1035,7 @@
         timestamp: new Date().toISOString(),
         level: level,
         messages: filteredMessages,
-        url: window.location.href,
+        url: getSanitizedPageUrl(),
         userAgent: navigator.userAgent,
         sessionId: sessionId,
         consoleLogId: ++consoleLogCount
@@ -410,43 +1076,353 @@
   
   function restoreConsole() {
     return safeExecute(() => {
-      // Restore original console methods
-      Object.keys(originalConsole).forEach(level => {
-        if (originalConsole[level]) {
-          console[level] = originalConsole[level];
-        }
-      });
-      originalConsole = {};
+      // Other instances may still be listening, so this only unsubscribes
+      consoleSubscribers.forEach((subscribers, level) => unsubscribeConsole(level, captureConsoleLog));
+      consoleInitialized = false;
       log('Console log capturing disabled, original console restored');
     }, 'restoreConsole');
   }
 
   // ============================================================================
-  // SAFE NETWORK OPERATIONS
+  // JAVASCRIPT ERROR CAPTURING
   // ============================================================================
-  
-  function safeFetch(url, options = {}) {
-    return safeExecute(() => {
-      if (typeof fetch === 'undefined') {
-        throw new Error('Fetch API not available');
+
+  let errorCaptureInitialized = false;
+  let jsErrorCount = 0;
+
+  // Keyword from COMPILED_FILTERS.sensitiveData followed by a value, e.g. "token=abc123"
+  const SENSITIVE_VALUE_PATTERN = new RegExp(
+    '(\\w*(?:' + COMPILED_FILTERS.sensitiveData.source + ')\\w*)(\\s*[:=]\\s*)("[^"]*"|\'[^\']*\'|[^\\s,;&]+)',
+    'gi'
+  );
+
+  function scrubSensitiveText(text) {
+    if (typeof text !== 'string' || !text) return text;
+    return text.replace(SENSITIVE_VALUE_PATTERN, '$1$2[REDACTED]');
+  }
+
+  // Parses V8 ("at fn (url:1:2)") and Gecko/WebKit ("fn@url:1:2") stack formats
+  function parseStackFrames(stack) {
+    if (typeof stack !== 'string') return [];
+
+    const frames = [];
+    const lines = stack.split('\n');
+    for (let i = 0; i < lines.length && frames.length < CONFIG.MAX_STACK_FRAMES; i++) {
+      const line = lines[i].trim();
+      let match = /^at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/.exec(line);
+      if (!match) {
+        match = /^(.*?)@(.+?):(\d+):(\d+)$/.exec(line);
       }
-      
-      // Add timeout protection
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => {
-        controller.abort();
-      }, CONFIG.MAX_NETWORK_TIMEOUT);
-      
-      const enhancedOptions = {
-        ...options,
-        signal: controller.signal,
-        keepalive: true
+      if (match) {
+        frames.push({
+          function: match[1] || '<anonymous>',
+          url: scrubSensitiveText(sanitizeUrl(match[2])),
+          line: parseInt(match[3]),
+          column: parseInt(match[4])
+        });
+      }
+    }
+    return frames;
+  }
+
+  // Duck-typed so errors from other realms (iframes) are recognised too
+  function isErrorLike(value) {
+    return !!value && typeof value === 'object' && typeof value.message === 'string';
+  }
+
+  function describeRejectionReason(reason) {
+    if (isErrorLike(reason)) return reason.message;
+    if (typeof reason === 'string') return reason;
+    try {
+      return JSON.stringify(reason);
+    } catch (e) {
+      return String(reason);
+    }
+  }
+
+  function captureJsError(errorInfo) {
+    if (!CONFIG.CAPTURE_JS_ERRORS || recorderDisabled) return;
+
+    safeExecute(() => {
+      if (jsErrorCount >= CONFIG.MAX_JS_ERRORS_PER_SESSION) return;
+      jsErrorCount++;
+
+      const error = errorInfo.error;
+      const message = String(errorInfo.message || (error && error.message) || 'Unknown error')
+        .substring(0, CONFIG.MAX_CONSOLE_LOG_LENGTH);
+
+      const errorData = {
+        type: errorInfo.type,
+        name: (error && error.name) || 'Error',
+        message: scrubSensitiveText(message),
+        stack: parseStackFrames(error && error.stack),
+        source: errorInfo.source ? scrubSensitiveText(sanitizeUrl(String(errorInfo.source))) : null,
+        line: errorInfo.line || null,
+        column: errorInfo.column || null,
+        handled: !!errorInfo.handled,
+        metadata: errorInfo.metadata || undefined
       };
-      
-      return fetch(url, enhancedOptions)
-        .then(response => {
+      captureEvent('js_error', { errorData: errorData });
+
+      if (!errorData.handled) {
+        noteErrorAfterClick(errorData);
+      }
+    }, 'captureJsError');
+  }
+
+  // Listeners are added alongside (not instead of) the host's handlers and never
+  // call preventDefault, so host error reporting and console output are unaffected.
+  function handleWindowError(event) {
+    // Resource load failures (img/script 404s) are not JS errors
+    if (!event || (!event.error && !event.message)) return;
+
+    captureJsError({
+      type: 'error',
+      error: event.error,
+      message: event.message,
+      source: event.filename,
+      line: event.lineno,
+      column: event.colno,
+      handled: false
+    });
+  }
+
+  function handleUnhandledRejection(event) {
+    const reason = event ? event.reason : undefined;
+    captureJsError({
+      type: 'unhandledrejection',
+      error: isErrorLike(reason) ? reason : null,
+      message: describeRejectionReason(reason),
+      handled: false
+    });
+  }
+
+  function setupErrorCapture() {
+    if (!CONFIG.CAPTURE_JS_ERRORS || recorderDisabled || errorCaptureInitialized) return;
+
+    safeExecute(() => {
+      addSharedListener(window, 'error', handleWindowError);
+      addSharedListener(window, 'unhandledrejection', handleUnhandledRejection);
+      errorCaptureInitialized = true;
+      log('JavaScript error capturing enabled');
+    }, 'setupErrorCapture');
+  }
+
+  function teardownErrorCapture() {
+    safeExecute(() => {
+      removeSharedListener(window, 'error', handleWindowError);
+      removeSharedListener(window, 'unhandledrejection', handleUnhandledRejection);
+      errorCaptureInitialized = false;
+    }, 'teardownErrorCapture');
+  }
+
+  // ============================================================================
+  // TRANSPORT ADAPTERS
+  // ============================================================================
+  // Every request the recorder makes (batches, health events, the disable
+  // notification) goes through one transport. A request looks like
+  // { kind, url, method, headers, body, encoding, keepalive, signal, unload } and
+  // send() resolves to a fetch-like { ok, status, headers } response.
+  // CONFIG.TRANSPORT is 'fetch', 'beacon', 'websocket' or a custom function
+  // receiving the request; a custom function may return a Response, a promise,
+  // true/undefined (accepted) or false (rejected).
+
+  let transportSocket = null;
+  let transportSocketOpening = null;
+
+  function acceptedTransportResponse(status) {
+    return { ok: true, status: status, headers: null };
+  }
+
+  function sendBeaconRequest(request) {
+    if (typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') return false;
+    const blob = new Blob([request.body], { type: 'application/json' });
+    return navigator.sendBeacon(request.url, blob);
+  }
+
+  function openTransportSocket() {
+    if (transportSocket && transportSocket.readyState === 1) {
+      return Promise.resolve(transportSocket);
+    }
+    if (!transportSocketOpening) {
+      transportSocketOpening = new Promise((resolve, reject) => {
+        if (typeof WebSocket === 'undefined' || !CONFIG.WEBSOCKET_URL) {
+          throw new Error('WebSocket transport not available');
+        }
+        const socket = new WebSocket(CONFIG.WEBSOCKET_URL);
+        socket.onopen = () => {
+          transportSocket = socket;
+          resolve(socket);
+        };
+        socket.onerror = () => reject(new Error('WebSocket connection failed'));
+        socket.onclose = () => {
+          if (transportSocket === socket) transportSocket = null;
+        };
+      }).then(socket => {
+        transportSocketOpening = null;
+        return socket;
+      }, error => {
+        transportSocketOpening = null;
+        throw error;
+      });
+    }
+    return transportSocketOpening;
+  }
+
+  function closeTransportSocket() {
+    if (transportSocket) {
+      try {
+        transportSocket.close();
+      } catch (e) {
+        // Already closing
+      }
+      transportSocket = null;
+    }
+  }
+
+  const TRANSPORT_ADAPTERS = {
+    fetch: function(request) {
+      if (typeof fetch === 'undefined') {
+        return Promise.reject(new Error('Fetch API not available'));
+      }
+      return fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        signal: request.signal,
+        keepalive: request.keepalive
+      });
+    },
+
+    // Fire-and-forget: no status, and custom headers can't be attached
+    beacon: function(request) {
+      if (sendBeaconRequest(request)) {
+        return Promise.resolve(acceptedTransportResponse(202));
+      }
+      // Browsers only refuse beacons over their size quota: back-pressure,
+      // not a network failure, so keep it out of the circuit breaker
+      healthMetrics.beaconRejections++;
+      const rejection = new Error('Beacon rejected');
+      rejection._alreadyCounted = true;
+      return Promise.reject(rejection);
+    },
+
+    // One text frame per request: { kind, url, headers, body }; no acknowledgement
+    websocket: function(request) {
+      return openTransportSocket().then(socket => {
+        socket.send(JSON.stringify({
+          kind: request.kind,
+          url: request.url,
+          headers: request.headers,
+          body: request.body
+        }));
+        return acceptedTransportResponse(202);
+      });
+    }
+  };
+
+  function isCustomTransport() {
+    return typeof CONFIG.TRANSPORT === 'function';
+  }
+
+  // Only plain fetch carries Content-Encoding to the ingest endpoint
+  function transportSupportsCompression() {
+    return CONFIG.TRANSPORT === 'fetch';
+  }
+
+  // Every beacon has to fit the browser's ~64KB quota, not just unload ones
+  function getMaxPayloadSize() {
+    return CONFIG.TRANSPORT === 'beacon' ?
+      Math.min(CONFIG.MAX_PAYLOAD_SIZE, CONFIG.BEACON_MAX_BYTES) :
+      CONFIG.MAX_PAYLOAD_SIZE;
+  }
+
+  // Beacons can't carry headers, so an ingest key rules them out on unload
+  function canUseBeaconOnUnload() {
+    return !isCustomTransport() && Object.keys(CONFIG.TRANSPORT_HEADERS).length === 0;
+  }
+
+  // Own properties only, so inherited names like 'toString' are never accepted
+  function setTransport(transport) {
+    if (typeof transport === 'function' ||
+        (typeof transport === 'string' && Object.prototype.hasOwnProperty.call(TRANSPORT_ADAPTERS, transport))) {
+      CONFIG.TRANSPORT = transport;
+    } else if (typeof transport === 'string' && Object.prototype.hasOwnProperty.call(window, transport) &&
+               typeof window[transport] === 'function') {
+      // data-transport can name a global sink function
+      CONFIG.TRANSPORT = window[transport];
+    } else if (transport !== undefined && transport !== null) {
+      log('Unknown transport, using fetch:', transport);
+    }
+  }
+
+  function sendViaTransport(request) {
+    const fullRequest = {
+      method: 'POST',
+      keepalive: false,
+      unload: false,
+      ...request,
+      headers: { ...(request.headers || {}), ...CONFIG.TRANSPORT_HEADERS }
+    };
+
+    markTransportBody(fullRequest.body);
+    return new Promise((resolve, reject) => {
+      const adapter = isCustomTransport() ? CONFIG.TRANSPORT : TRANSPORT_ADAPTERS[CONFIG.TRANSPORT];
+      sendingViaTransport = true;
+      try {
+        Promise.resolve(adapter(fullRequest)).then(resolve, reject);
+      } finally {
+        sendingViaTransport = false;
+      }
+    }).then(result => {
+      releaseTransportBody(fullRequest.body);
+      return result;
+    }, error => {
+      releaseTransportBody(fullRequest.body);
+      throw error;
+    }).then(result => {
+      if (result === false) throw new Error('Transport rejected the request');
+      if (result && typeof result.status === 'number') return result;
+      return acceptedTransportResponse(200);
+    });
+  }
+
+  // ============================================================================
+  // SAFE NETWORK OPERATIONS
+  // ============================================================================
+  
+  function safeFetch(url, options = {}) {
+    return safeExecute(() => {
+      // Add timeout protection
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => {
+        controller.abort();
+      }, CONFIG.MAX_NETWORK_TIMEOUT);
+      
+      const request = {
+        kind: 'batch',
+        ...options,
+        url: url,
+        signal: controller.signal,
+        // The keepalive quota (~64KB) is shared by every in-flight request,
+        // so only unload deliveries use it
+        keepalive: !!options.unload
+      };
+      
+      return sendViaTransport(request)
+        .then(response => {
           clearTimeout(timeoutId);
           
+          if (response.status === 429) {
+            // Rate limiting is back-pressure, not a failure: keep it out of the circuit breaker
+            healthMetrics.rateLimitedResponses++;
+            const rateLimitError = new Error('HTTP 429: rate limited');
+            rateLimitError._alreadyCounted = true;
+            rateLimitError.status = 429;
+            rateLimitError.retryAfterMs = getRetryAfterDelay(response.headers);
+            throw rateLimitError;
+          }
+          
           if (!response.ok) {
             networkErrorCount++;
             healthMetrics.networkErrors++;
@@ -472,6 +1448,8 @@
             // Create error with flag to prevent double-counting
             const httpError = new Error(`HTTP ${response.status}: ${response.statusText}`);
             httpError._alreadyCounted = true;
+            httpError.status = response.status;
+            httpError.retryAfterMs = getRetryAfterDelay(response.headers);
             throw httpError;
           }
           
@@ -488,13 +1466,7 @@
             healthMetrics.networkErrors++;
           }
           
-          // Don't log session validation errors to console (they're backend API responses)
-          const isValidationError = error.message && (
-            error.message.toLowerCase().includes('session duration') ||
-            error.message.toLowerCase().includes('negative session')
-          );
-          
-          if (CONFIG.DEBUG && !isValidationError) {
+          if (CONFIG.DEBUG) {
             console.warn('[WhysRecorder] Network error (failing silently):', error.message);
           }
           
@@ -519,204 +1491,1277 @@
   }
 
   // ============================================================================
-  // ORIGINAL RECORDER FUNCTIONALITY (WRAPPED IN SAFETY)
+  // PAYLOAD COMPRESSION
   // ============================================================================
-  
-  // Global state
-  let isInitialized = false;
-  let projectId = null;
-  let userId = null;
-  let sessionId = null;
-  let visitorId = null;
-  let globalVisitorId = null;
-  let eventQueue = [];
-  let batchTimer = null;
-  let sessionData = null;
-  let sessionEnded = false;
-  let initializationPromise = null;
-  
-  // Activity tracking
-  let lastActivityTime = Date.now();
-  let inactivityTimer = null;
-  let visibilityTimer = null;
+  // Batches are gzipped with CompressionStream where available and sent with
+  // Content-Encoding: gzip; otherwise (or if compression fails) plain JSON is sent.
 
-  // Safe UUID generation with fallbacks
-  function generateUUID() {
-    return safeExecute(() => {
-      // Use crypto.randomUUID() if available (modern browsers)
-      if (typeof crypto !== 'undefined' && crypto.randomUUID) {
-        return crypto.randomUUID();
-      }
-      
-      // Fallback for older browsers
-      return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-        const r = Math.random() * 16 | 0;
-        const v = c == 'x' ? r : (r & 0x3 | 0x8);
-        return v.toString(16);
-      });
-    }, 'generateUUID', true) || `fallback-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  function canCompressPayloads() {
+    return CONFIG.COMPRESS_PAYLOADS && transportSupportsCompression() && typeof CompressionStream !== 'undefined' &&
+      typeof Blob !== 'undefined' && typeof Response !== 'undefined';
   }
 
-  function generateVisitorId(projectId) {
-    return generateUUID();
+  function plainEncodedPayload(data) {
+    const size = new TextEncoder().encode(data).length;
+    return { body: data, encoding: null, size: size, rawSize: size };
   }
 
-  function generateGlobalVisitorId() {
-    return generateUUID();
+  // Resolves to { body, encoding, size, rawSize }; never rejects
+  function encodePayload(data) {
+    if (!canCompressPayloads()) {
+      return Promise.resolve(plainEncodedPayload(data));
+    }
+
+    return Promise.resolve().then(() => {
+      const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('gzip'));
+      return new Response(stream).arrayBuffer();
+    }).then(buffer => {
+      const compressed = new Uint8Array(buffer);
+      const rawSize = new TextEncoder().encode(data).length;
+      healthMetrics.bytesBeforeCompression += rawSize;
+      healthMetrics.bytesAfterCompression += compressed.length;
+      return { body: compressed, encoding: 'gzip', size: compressed.length, rawSize: rawSize };
+    }).catch(error => {
+      log('Payload compression failed, sending plain JSON:', error && error.message);
+      return plainEncodedPayload(data);
+    });
   }
 
-  function getOrCreateVisitorIds(projectId) {
-    return safeExecute(() => {
-      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-      
-      // Project-scoped visitor ID
-      const visitorKey = `whys_visitor_${projectId}`;
-      let visitorId = safeLocalStorageGet(visitorKey);
-      if (!visitorId || !uuidRegex.test(visitorId)) {
-        if (visitorId && CONFIG.DEBUG) {
-          log("Invalid visitor ID format found, regenerating:", visitorId);
-        }
-        visitorId = generateVisitorId(projectId);
-        if (!uuidRegex.test(visitorId)) {
-          log("Generated visitor ID is invalid, regenerating:", visitorId);
-          visitorId = generateVisitorId(projectId);
-        }
-        safeLocalStorageSet(visitorKey, visitorId);
-        log("Created new visitor ID:", visitorId);
-      }
+  function getCompressionRatio() {
+    if (!healthMetrics.bytesBeforeCompression) return null;
+    return Math.round(healthMetrics.bytesAfterCompression / healthMetrics.bytesBeforeCompression * 1000) / 1000;
+  }
 
-      // Global visitor ID (platform-wide)
-      const globalKey = 'whys_global_visitor';
-      let globalVisitorId = safeLocalStorageGet(globalKey);
-      if (!globalVisitorId || !uuidRegex.test(globalVisitorId)) {
-        if (globalVisitorId && CONFIG.DEBUG) {
-          log("Invalid global visitor ID format found, regenerating:", globalVisitorId);
-        }
-        globalVisitorId = generateGlobalVisitorId();
-        if (!uuidRegex.test(globalVisitorId)) {
-          log("Generated global visitor ID is invalid, regenerating:", globalVisitorId);
-          globalVisitorId = generateGlobalVisitorId();
-        }
-        safeLocalStorageSet(globalKey, globalVisitorId);
-        log("Created new global visitor ID:", globalVisitorId);
-      }
+  // ============================================================================
+  // OFFLINE QUEUE (IndexedDB)
+  // ============================================================================
+  // Batches that could not be delivered are persisted and retried when the
+  // browser comes back online or on the next page load, whichever session
+  // they belong to. The store is capped by size and entries expire after
+  // OFFLINE_QUEUE_TTL. Each project gets its own database, so limits and
+  // clearing never touch another recorder's batches on the same origin. A
+  // localStorage flag records that something was persisted, so the database
+  // is only opened when there is work to do.
 
-      return { visitorId, globalVisitorId };
-    }, 'getOrCreateVisitorIds', true) || {
-      visitorId: generateVisitorId(projectId),
-      globalVisitorId: generateGlobalVisitorId()
-    };
+  const OFFLINE_DB_PREFIX = 'whys_offline_queue_';
+  const OFFLINE_STORE_NAME = 'batches';
+  let offlineDbPromise = null;
+  let offlineQueueInitialized = false;
+  let offlineFlushInProgress = false;
+
+  function isOfflineQueueAvailable() {
+    return CONFIG.OFFLINE_QUEUE && typeof indexedDB !== 'undefined' && !!indexedDB && canUseStorage() && !!projectId;
   }
 
-  function getOrCreateSessionId(projectId) {
-    return safeExecute(() => {
-      const sessionKey = `whys_session_${projectId}`;
-      const timestampKey = `whys_session_timestamp_${projectId}`;
-      
-      const existingSessionId = safeLocalStorageGet(sessionKey);
-      const existingTimestamp = safeLocalStorageGet(timestampKey);
-      
-      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-      
-      if (existingSessionId && existingTimestamp) {
-        if (!uuidRegex.test(existingSessionId)) {
-          log("Invalid session ID format found, clearing:", existingSessionId);
-          safeLocalStorageRemove(sessionKey);
-          safeLocalStorageRemove(timestampKey);
-        } else {
-          const sessionAge = Date.now() - parseInt(existingTimestamp);
-          const maxInactivity = CONFIG.INACTIVITY_TIMEOUT;
-          if (sessionAge < maxInactivity) {
-            log("Continuing existing session:", existingSessionId, "Age:", Math.round(sessionAge / 60000), "minutes");
-            safeLocalStorageSet(timestampKey, Date.now().toString());
-            return existingSessionId;
-          } else {
-            log("Session expired, creating new one. Age:", Math.round(sessionAge / 60000), "minutes");
-            safeLocalStorageRemove(sessionKey);
-            safeLocalStorageRemove(timestampKey);
-          }
-        }
-      }
-      
-      const newSessionId = generateUUID();
-      
-      if (!uuidRegex.test(newSessionId)) {
-        log("Generated session ID is invalid:", newSessionId, "Regenerating...");
-        const retrySessionId = generateUUID();
-        if (!uuidRegex.test(retrySessionId)) {
-          throw new Error("UUID generation failed");
-        }
-        safeLocalStorageSet(sessionKey, retrySessionId);
-        safeLocalStorageSet(timestampKey, Date.now().toString());
-        log("Created new session (retry):", retrySessionId);
-        return retrySessionId;
-      }
-      
-      safeLocalStorageSet(sessionKey, newSessionId);
-      safeLocalStorageSet(timestampKey, Date.now().toString());
-      
-      log("Created new session:", newSessionId);
-      return newSessionId;
-      
-    }, 'getOrCreateSessionId', true) || generateUUID();
+  function getOfflineDbName() {
+    return OFFLINE_DB_PREFIX + projectId;
   }
 
-  function log(...args) {
-    if (CONFIG.DEBUG && !recorderDisabled) {
-      safeExecute(() => {
-        console.log('[WhysRecorder]', ...args);
-      }, 'log');
-    }
+  function getOfflinePendingKey() {
+    return `whys_offline_pending_${projectId}`;
   }
 
-  function getElementSelector(element) {
-    if (!element || recorderDisabled) return null;
-    
-    return safeExecute(() => {
-      if (element.id) {
-        return '#' + element.id;
-      }
-      
-      if (element.className) {
-        let classNames = '';
-        if (typeof element.className === 'string') {
-          classNames = element.className;
-        } else if (element.className.baseVal) {
-          classNames = element.className.baseVal;
-        }
-        
-        if (classNames) {
-          const classes = classNames.split(' ').filter(c => c.trim()).join('.');
-          if (classes) {
-            return element.tagName.toLowerCase() + '.' + classes;
-          }
-        }
-      }
-      
-      return element.tagName ? element.tagName.toLowerCase() : 'unknown';
-    }, 'getElementSelector') || 'unknown';
+  function hasPersistedBatches() {
+    return safeLocalStorageGet(getOfflinePendingKey()) === '1';
   }
 
-  function getElementText(element) {
-    if (!element || recorderDisabled) return null;
-    
-    return safeExecute(() => {
-      const text = element.textContent || element.innerText || '';
-      return text.trim().substring(0, 100);
-    }, 'getElementText') || '';
+  function isBrowserOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
   }
 
-  /**
-   * Enhanced field label detection for form inputs
-   * Finds the actual user-visible label for form fields
-   */
-  function getFieldLabel(element) {
-    if (!element || recorderDisabled) return null;
-    
-    return safeExecute(() => {
-      // 1. Check for associated label via 'for' attribute (most reliable)
-      if (element.id) {
-        const label = document.querySelector(`label[for="${element.id}"]`);
+  function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function openOfflineDb() {
+    if (!offlineDbPromise) {
+      offlineDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(getOfflineDbName(), 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(OFFLINE_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+      }).catch(error => {
+        offlineDbPromise = null;
+        storageErrorCount++;
+        healthMetrics.storageErrors++;
+        throw error;
+      });
+    }
+    return offlineDbPromise;
+  }
+
+  function withOfflineStore(mode, operation) {
+    return openOfflineDb().then(db => {
+      const transaction = db.transaction(OFFLINE_STORE_NAME, mode);
+      return operation(transaction.objectStore(OFFLINE_STORE_NAME));
+    });
+  }
+
+  // Removes expired entries, then the oldest ones until `incomingSize` more bytes fit
+  function enforceOfflineQueueLimits(store, incomingSize) {
+    return idbRequest(store.getAll()).then(entries => {
+      const now = Date.now();
+      let totalSize = 0;
+      const kept = [];
+
+      entries.forEach(entry => {
+        if (now - entry.createdAt > CONFIG.OFFLINE_QUEUE_TTL) {
+          store.delete(entry.id);
+          healthMetrics.offlineBatchesDropped++;
+        } else {
+          kept.push(entry);
+          totalSize += entry.size;
+        }
+      });
+
+      while (kept.length > 0 && totalSize + incomingSize > CONFIG.OFFLINE_QUEUE_MAX_BYTES) {
+        const oldest = kept.shift();
+        store.delete(oldest.id);
+        totalSize -= oldest.size;
+        healthMetrics.offlineBatchesDropped++;
+      }
+      return kept;
+    });
+  }
+
+  function persistFailedBatch(payload, size) {
+    if (!isOfflineQueueAvailable() || !payload || !payload.sessionData) return;
+
+    if (size > CONFIG.OFFLINE_QUEUE_MAX_BYTES) {
+      healthMetrics.offlineBatchesDropped++;
+      return;
+    }
+
+    safeExecute(() => {
+      withOfflineStore('readwrite', store => enforceOfflineQueueLimits(store, size).then(() => {
+        return idbRequest(store.add({
+          sessionId: payload.sessionData.sessionId,
+          projectId: payload.sessionData.projectId,
+          createdAt: Date.now(),
+          size: size,
+          payload: payload
+        }));
+      })).then(() => {
+        safeLocalStorageSet(getOfflinePendingKey(), '1');
+        healthMetrics.offlineBatchesPersisted++;
+        log('Persisted undelivered batch for retry:', payload.events?.length || 0, 'events');
+      }).catch(error => {
+        healthMetrics.offlineBatchesDropped++;
+        log('Failed to persist batch (dropped):', error && error.message);
+      });
+    }, 'persistFailedBatch');
+  }
+
+  // Sends persisted batches (of any session) one at a time, oldest first,
+  // stopping at the first failure so the rest stay queued for the next attempt
+  function flushOfflineQueue() {
+    if (offlineFlushInProgress || !isOfflineQueueAvailable() || !hasPersistedBatches() ||
+        !canSendData() || isBrowserOffline() || !sessionId) return;
+
+    safeExecute(() => {
+      offlineFlushInProgress = true;
+
+      withOfflineStore('readwrite', store => enforceOfflineQueueLimits(store, 0))
+        .then(entries => {
+          return entries.reduce((chain, entry) => chain.then(() => {
+            return safeFetch(CONFIG.API_ENDPOINT, {
+              method: 'POST',
+              headers: getBatchHeaders(entry.payload, null),
+              body: JSON.stringify(entry.payload)
+            }).then(response => {
+              if (!response) throw new Error('Offline batch retry failed');
+              healthMetrics.offlineBatchesRetried++;
+              handleDeliveredEvents(entry.payload.events);
+              return withOfflineStore('readwrite', store => idbRequest(store.delete(entry.id)));
+            }, error => {
+              // Only transient failures stop the flush; a rejected batch would
+              // otherwise block every later one until it expires
+              if (isRetryableFailure(error)) throw error;
+              healthMetrics.batchesRejected++;
+              handleDroppedEvents(entry.payload.events);
+              log('Offline batch rejected by server, dropping:', error && error.message);
+              return withOfflineStore('readwrite', store => idbRequest(store.delete(entry.id)));
+            });
+          }), Promise.resolve());
+        })
+        // A batch persisted meanwhile sets the flag again after it is stored
+        .then(() => withOfflineStore('readonly', store => idbRequest(store.count())))
+        .then(remaining => {
+          if (remaining === 0) {
+            safeLocalStorageRemove(getOfflinePendingKey());
+          }
+        })
+        .catch(error => {
+          log('Offline queue flush stopped:', error && error.message);
+        })
+        .then(() => {
+          offlineFlushInProgress = false;
+        });
+    }, 'flushOfflineQueue');
+  }
+
+  // Deletes this project's database instead of clearing it so nothing is
+  // created when it never existed
+  function clearOfflineQueue() {
+    if (typeof indexedDB === 'undefined' || !indexedDB || !projectId) return;
+
+    safeExecute(() => {
+      const pendingDb = offlineDbPromise;
+      const dbName = getOfflineDbName();
+      offlineDbPromise = null;
+      safeLocalStorageRemove(getOfflinePendingKey());
+      (pendingDb || Promise.resolve(null))
+        .then(db => db && db.close(), () => {})
+        .then(() => indexedDB.deleteDatabase(dbName));
+    }, 'clearOfflineQueue');
+  }
+
+  function handleOnline() {
+    log('Browser back online, retrying persisted batches');
+    flushOfflineQueue();
+  }
+
+  function setupOfflineQueue() {
+    if (offlineQueueInitialized || !CONFIG.OFFLINE_QUEUE) return;
+
+    safeExecute(() => {
+      addSharedListener(window, 'online', handleOnline);
+      offlineQueueInitialized = true;
+      // Batches left over from a previous page load
+      flushOfflineQueue();
+    }, 'setupOfflineQueue');
+  }
+
+  function teardownOfflineQueue() {
+    if (!offlineQueueInitialized) return;
+
+    safeExecute(() => {
+      removeSharedListener(window, 'online', handleOnline);
+      offlineQueueInitialized = false;
+    }, 'teardownOfflineQueue');
+  }
+
+  // ============================================================================
+  // RETRY QUEUE (rate limiting & transient failures)
+  // ============================================================================
+  // Retryable failures (429, 408, 5xx, network errors) wait here with backoff
+  // honoring Retry-After / X-RateLimit-Reset. Batches that run out of attempts,
+  // overflow the queue or are still waiting at unload go to the offline queue.
+  // Other 4xx responses are validation failures and are not retried.
+
+  const RATE_LIMIT_CONFIG = {
+    MIN_RETRY_DELAY: 1000,    // 1 second
+    MAX_RETRY_DELAY: 60000,   // 1 minute
+    BACKOFF_FACTOR: 2,        // Exponential backoff multiplier
+    MAX_RETRIES: 5,           // Attempts per batch before it goes to the offline queue
+    MAX_QUEUED_BATCHES: 10    // Batches held in memory for retry
+  };
+
+  let retryQueue = [];
+  let retryTimer = null;
+  let retryBackoffDelay = 0;
+  let retryNotBefore = 0;
+
+  function isRetryableFailure(error) {
+    const status = error && error.status;
+    return !status || status === 408 || status === 429 || status >= 500;
+  }
+
+  // Retry-After is seconds or an HTTP date; X-RateLimit-Reset is epoch seconds
+  // or seconds until reset depending on the server
+  function getRetryAfterDelay(headers) {
+    if (!headers || typeof headers.get !== 'function') return null;
+
+    const retryAfter = headers.get('Retry-After');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      if (isFinite(seconds)) return Math.max(0, seconds * 1000);
+      const date = Date.parse(retryAfter);
+      if (!isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    const reset = Number(headers.get('X-RateLimit-Reset'));
+    if (reset > 0) {
+      return Math.max(0, reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000);
+    }
+    return null;
+  }
+
+  function isRateLimited() {
+    return retryNotBefore > Date.now();
+  }
+
+  function resetRetryBackoff() {
+    retryBackoffDelay = 0;
+    retryNotBefore = 0;
+  }
+
+  function queueBatchForRetry(batch, atFront = false) {
+    if (retryQueue.length >= RATE_LIMIT_CONFIG.MAX_QUEUED_BATCHES) {
+      const oldest = retryQueue.shift();
+      persistFailedBatch(oldest.payload, oldest.rawSize);
+    }
+    if (atFront) {
+      retryQueue.unshift(batch);
+    } else {
+      retryQueue.push(batch);
+    }
+    scheduleRetryProcessing();
+  }
+
+  function handleFailedDelivery(batch, error) {
+    if (!isRetryableFailure(error)) {
+      healthMetrics.batchesRejected++;
+      handleDroppedEvents(batch.payload.events);
+      log('Batch rejected by server, not retrying:', error && error.message);
+      return;
+    }
+
+    batch.attempts++;
+    if (batch.attempts > RATE_LIMIT_CONFIG.MAX_RETRIES || batch.unload) {
+      log('Batch can\'t be retried from this page, moving it to offline queue');
+      persistFailedBatch(batch.payload, batch.rawSize);
+      return;
+    }
+
+    const headerDelay = error && typeof error.retryAfterMs === 'number' ? error.retryAfterMs : null;
+    retryBackoffDelay = headerDelay !== null ?
+      headerDelay :
+      Math.max(retryBackoffDelay * RATE_LIMIT_CONFIG.BACKOFF_FACTOR, RATE_LIMIT_CONFIG.MIN_RETRY_DELAY);
+    retryBackoffDelay = Math.min(Math.max(retryBackoffDelay, RATE_LIMIT_CONFIG.MIN_RETRY_DELAY), RATE_LIMIT_CONFIG.MAX_RETRY_DELAY);
+    retryNotBefore = Math.max(retryNotBefore, Date.now() + retryBackoffDelay);
+
+    log('Batch delivery failed, retrying:', {
+      status: error && error.status,
+      attempt: batch.attempts,
+      retryInMs: retryNotBefore - Date.now()
+    });
+    queueBatchForRetry(batch, true);
+  }
+
+  function scheduleRetryProcessing() {
+    if (retryTimer || retryQueue.length === 0) return;
+    retryTimer = setTimeout(processRetryQueue, Math.max(0, retryNotBefore - Date.now()));
+  }
+
+  // Sends one batch at a time; deliverBatch calls back in on success
+  function processRetryQueue() {
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    if (recorderDisabled || retryQueue.length === 0) return;
+
+    if (isBrowserOffline()) {
+      persistRetryQueue();
+      return;
+    }
+    if (isRateLimited()) {
+      scheduleRetryProcessing();
+      return;
+    }
+
+    healthMetrics.batchRetries++;
+    deliverBatch(retryQueue.shift());
+  }
+
+  function persistRetryQueue() {
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    retryQueue.forEach(batch => persistFailedBatch(batch.payload, batch.rawSize));
+    retryQueue = [];
+  }
+
+  // ============================================================================
+  // HOST NETWORK REQUEST CAPTURING
+  // ============================================================================
+  // Only method, redacted URL, status, timing and sizes are recorded. Request and
+  // response headers (Authorization, Cookie, ...) and bodies are never read.
+
+  let networkCaptureInitialized = false;
+
+  function resolveUrl(url) {
+    try {
+      return new URL(String(url), window.location.href);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Keeps parameter names (useful for debugging) but never their values
+  function redactUrlQuery(url) {
+    const parsed = resolveUrl(url);
+    if (!parsed) return String(url).split('?')[0];
+    const params = [];
+    parsed.searchParams.forEach((value, key) => params.push(encodeURIComponent(key) + '=[REDACTED]'));
+    return parsed.origin + redactUrlPath(parsed.pathname) + (params.length > 0 ? '?' + params.join('&') : '');
+  }
+
+  function matchesUrlPattern(url, pattern) {
+    if (pattern instanceof RegExp) return pattern.test(url);
+    if (typeof pattern !== 'string' || !pattern) return false;
+    if (pattern.includes('*')) {
+      const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      return new RegExp('^' + source + '$').test(url);
+    }
+    return url.includes(pattern);
+  }
+
+  function isRecorderRequest(url) {
+    return [CONFIG.API_ENDPOINT, CONFIG.HEALTH_MONITOR_ENDPOINT].some(endpoint => {
+      const resolved = endpoint && resolveUrl(endpoint);
+      return resolved && url.split('?')[0] === resolved.href.split('?')[0];
+    });
+  }
+
+  function shouldCaptureRequest(url) {
+    if (!CONFIG.CAPTURE_NETWORK || recorderDisabled || !isInitialized || sessionEnded) return false;
+    const parsed = resolveUrl(url);
+    const absoluteUrl = parsed ? parsed.href : String(url);
+    if (isRecorderRequest(absoluteUrl)) return false;
+    if (CONFIG.NETWORK_URL_DENYLIST.some(pattern => matchesUrlPattern(absoluteUrl, pattern))) return false;
+    if (CONFIG.NETWORK_URL_ALLOWLIST.length > 0) {
+      return CONFIG.NETWORK_URL_ALLOWLIST.some(pattern => matchesUrlPattern(absoluteUrl, pattern));
+    }
+    return true;
+  }
+
+  function getBodySize(body) {
+    if (body === null || body === undefined) return 0;
+    if (typeof body === 'string') return new TextEncoder().encode(body).length;
+    if (typeof Blob !== 'undefined' && body instanceof Blob) return body.size;
+    if (typeof ArrayBuffer !== 'undefined' && (body instanceof ArrayBuffer || ArrayBuffer.isView(body))) return body.byteLength;
+    if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) return body.toString().length;
+    return null; // FormData and streams cannot be measured without reading them
+  }
+
+  function getNetworkFailureReason(status, error) {
+    if (error) {
+      if (error.name === 'AbortError' || error === 'abort') return 'aborted';
+      if (error === 'timeout') return 'timeout';
+      return 'network_error';
+    }
+    return status >= 400 ? 'http_error' : null;
+  }
+
+  function recordNetworkRequest(request, status, responseSize, error) {
+    safeExecute(() => {
+      const now = typeof performance !== 'undefined' ? performance.now() : Date.now();
+      captureEvent('network_request', {
+        networkData: {
+          initiator: request.initiator,
+          method: request.method,
+          url: redactUrlQuery(request.url),
+          status: status || 0,
+          ok: !error && status >= 200 && status < 400,
+          duration: Math.round(now - request.start),
+          requestSize: request.requestSize,
+          responseSize: responseSize,
+          failureReason: getNetworkFailureReason(status, error)
+        }
+      });
+    }, 'recordNetworkRequest');
+  }
+
+  // Shared fetch/XHR subscriber: returns the outcome callback for requests
+  // this instance records
+  function observeHostRequest(request) {
+    return safeExecute(() => {
+      const ownRequest = request.fromTransport || isRecorderRequest(request.url);
+      if (!ownRequest) noteResponsiveActivity();
+      if (ownRequest || !shouldCaptureRequest(request.url)) return null;
+
+      const captured = {
+        initiator: request.initiator,
+        method: request.method,
+        url: request.url,
+        requestSize: getBodySize(request.body),
+        start: typeof performance !== 'undefined' ? performance.now() : Date.now()
+      };
+      return outcome => recordNetworkRequest(captured, outcome.status, outcome.responseSize, outcome.error);
+    }, 'network_observer');
+  }
+
+  function setupNetworkCapture() {
+    if (!CONFIG.CAPTURE_NETWORK || recorderDisabled || networkCaptureInitialized) return;
+
+    safeExecute(() => {
+      subscribeNetworkRequests(observeHostRequest);
+      networkCaptureInitialized = true;
+      log('Network request capturing enabled');
+    }, 'setupNetworkCapture');
+  }
+
+  function teardownNetworkCapture() {
+    if (!networkCaptureInitialized) return;
+
+    safeExecute(() => {
+      unsubscribeNetworkRequests(observeHostRequest);
+      networkCaptureInitialized = false;
+    }, 'teardownNetworkCapture');
+  }
+
+  // ============================================================================
+  // CORE WEB VITALS & NAVIGATION TIMING
+  // ============================================================================
+
+  // [good, poor] boundaries as published at web.dev/vitals
+  const WEB_VITAL_THRESHOLDS = {
+    lcp: [2500, 4000],
+    cls: [0.1, 0.25],
+    inp: [200, 500],
+    fcp: [1800, 3000],
+    ttfb: [800, 1800]
+  };
+
+  let webVitalsInitialized = false;
+  let webVitalsObservers = [];
+  let currentPageView = null;
+
+  function createPageView(type) {
+    return {
+      pageViewId: generateUUID(),
+      type: type, // 'hard' (full page load) or 'soft' (SPA navigation)
+      url: getSanitizedPageUrl(),
+      lcp: null,
+      fcp: null,
+      ttfb: null,
+      cls: 0,
+      clsWindowValue: 0,
+      clsWindowStart: 0,
+      clsWindowLast: 0,
+      interactions: new Map(), // interactionId -> longest duration
+      navigationTiming: null,
+      lastReportSignature: null
+    };
+  }
+
+  function rateWebVital(name, value) {
+    if (value === null || value === undefined) return null;
+    const [good, poor] = WEB_VITAL_THRESHOLDS[name];
+    return value <= good ? 'good' : (value <= poor ? 'needs-improvement' : 'poor');
+  }
+
+  // INP approximates the 98th percentile: skip one worst interaction per 50
+  function computeInp(interactions) {
+    if (interactions.size === 0) return null;
+    const durations = Array.from(interactions.values()).sort((a, b) => b - a);
+    return durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)];
+  }
+
+  function getNavigationTiming() {
+    return safeExecute(() => {
+      if (typeof performance === 'undefined' || !performance.getEntriesByType) return null;
+      const nav = performance.getEntriesByType('navigation')[0];
+      if (!nav) return null;
+      const activationStart = nav.activationStart || 0;
+      return {
+        type: nav.type,
+        ttfb: Math.max(0, nav.responseStart - activationStart),
+        dns: nav.domainLookupEnd - nav.domainLookupStart,
+        tcp: nav.connectEnd - nav.connectStart,
+        request: nav.responseStart - nav.requestStart,
+        response: nav.responseEnd - nav.responseStart,
+        domInteractive: nav.domInteractive,
+        domContentLoaded: nav.domContentLoadedEventEnd,
+        loadEvent: nav.loadEventEnd,
+        transferSize: nav.transferSize,
+        redirectCount: nav.redirectCount
+      };
+    }, 'getNavigationTiming');
+  }
+
+  function handleLayoutShift(entry) {
+    const view = currentPageView;
+    if (!view || entry.hadRecentInput) return;
+
+    // Session windows: shifts < 1s apart, window capped at 5s; CLS is the worst window
+    if (view.clsWindowValue > 0 &&
+        entry.startTime - view.clsWindowLast < 1000 &&
+        entry.startTime - view.clsWindowStart < 5000) {
+      view.clsWindowValue += entry.value;
+    } else {
+      view.clsWindowValue = entry.value;
+      view.clsWindowStart = entry.startTime;
+    }
+    view.clsWindowLast = entry.startTime;
+    view.cls = Math.max(view.cls, view.clsWindowValue);
+  }
+
+  function handlePerformanceEntry(entry) {
+    const view = currentPageView;
+    if (!view) return;
+
+    switch (entry.entryType) {
+      case 'largest-contentful-paint':
+        // LCP/FCP/TTFB only describe the initial document load
+        if (view.type === 'hard') {
+          view.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+        }
+        break;
+      case 'paint':
+        if (entry.name === 'first-contentful-paint' && view.type === 'hard') {
+          view.fcp = entry.startTime;
+        }
+        break;
+      case 'layout-shift':
+        handleLayoutShift(entry);
+        break;
+      case 'event':
+      case 'first-input':
+        if (entry.interactionId) {
+          const previous = view.interactions.get(entry.interactionId) || 0;
+          view.interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+        }
+        break;
+    }
+  }
+
+  function observePerformanceType(type, options = {}) {
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    if (!supported.includes(type)) return;
+
+    safeExecute(() => {
+      const observer = new PerformanceObserver(list => {
+        safeExecute(() => list.getEntries().forEach(handlePerformanceEntry), 'web_vitals_observer');
+      });
+      observer.observe({ type: type, buffered: true, ...options });
+      webVitalsObservers.push(observer);
+    }, 'observePerformanceType');
+  }
+
+  function reportWebVitals(reason) {
+    const view = currentPageView;
+    if (!view || !CONFIG.CAPTURE_WEB_VITALS || recorderDisabled) return;
+
+    safeExecute(() => {
+      const round = value => (value === null ? null : Math.round(value));
+      const inp = computeInp(view.interactions);
+      const metrics = {
+        lcp: round(view.lcp),
+        fcp: round(view.fcp),
+        ttfb: view.type === 'hard' && view.navigationTiming ? round(view.navigationTiming.ttfb) : null,
+        cls: Math.round(view.cls * 10000) / 10000,
+        inp: round(inp)
+      };
+
+      // Values only change while the page is visible; skip duplicate reports
+      const signature = JSON.stringify(metrics);
+      if (signature === view.lastReportSignature) return;
+      view.lastReportSignature = signature;
+
+      const ratings = {};
+      Object.keys(metrics).forEach(name => {
+        ratings[name] = rateWebVital(name, metrics[name]);
+      });
+
+      captureEvent('web_vitals', {
+        pageUrl: view.url,
+        webVitals: {
+          pageViewId: view.pageViewId,
+          pageViewType: view.type,
+          reason: reason,
+          metrics: metrics,
+          ratings: ratings,
+          interactionCount: view.interactions.size,
+          navigationTiming: view.navigationTiming
+        }
+      });
+    }, 'reportWebVitals');
+  }
+
+  // Called by SPA navigation detection: close out the previous view first
+  function startSoftPageView() {
+    if (!webVitalsInitialized) return;
+    reportWebVitals('navigation');
+    currentPageView = createPageView('soft');
+  }
+
+  function setupWebVitals() {
+    if (!CONFIG.CAPTURE_WEB_VITALS || recorderDisabled || webVitalsInitialized) return;
+    if (typeof PerformanceObserver === 'undefined') return;
+
+    safeExecute(() => {
+      currentPageView = createPageView('hard');
+      currentPageView.navigationTiming = getNavigationTiming();
+
+      observePerformanceType('largest-contentful-paint');
+      observePerformanceType('paint');
+      observePerformanceType('layout-shift');
+      observePerformanceType('first-input');
+      observePerformanceType('event', { durationThreshold: 40 });
+
+      webVitalsInitialized = true;
+      log('Web vitals collection enabled');
+    }, 'setupWebVitals');
+  }
+
+  function teardownWebVitals() {
+    safeExecute(() => {
+      webVitalsObservers.forEach(observer => observer.disconnect());
+      webVitalsObservers = [];
+      webVitalsInitialized = false;
+    }, 'teardownWebVitals');
+  }
+
+  // ============================================================================
+  // FRUSTRATION SIGNAL DETECTION (rage / dead / error clicks)
+  // ============================================================================
+
+  // Clicking into these never changes the page, so they cannot be "dead"
+  const DEAD_CLICK_IGNORED_TAGS = ['INPUT', 'TEXTAREA', 'SELECT', 'OPTION', 'LABEL', 'VIDEO', 'AUDIO'];
+
+  let recentClicks = [];        // For rage detection: { x, y, time }
+  let rageBurstReported = false;
+  let pendingDeadClicks = [];   // Clicks waiting for a page response
+  let deadClickObserver = null;
+  let lastClickForErrors = null;
+
+  function clearFrustrationState() {
+    pendingDeadClicks.forEach(click => clearTimeout(click.timer));
+    pendingDeadClicks = [];
+    recentClicks = [];
+    rageBurstReported = false;
+    lastClickForErrors = null;
+    if (deadClickObserver) {
+      deadClickObserver.disconnect();
+      deadClickObserver = null;
+    }
+  }
+
+  function captureFrustrationSignal(type, click, details) {
+    captureEvent(type, {
+      elementSelector: click.selector,
+      elementTag: click.tag,
+      clickCoordinates: { x: click.x, y: click.y },
+      frustrationData: {
+        type: type,
+        clickTimestamp: new Date(click.time).toISOString(),
+        ...details
+      }
+    });
+  }
+
+  function detectRageClick(click) {
+    recentClicks = recentClicks.filter(previous => click.time - previous.time <= CONFIG.RAGE_CLICK_WINDOW);
+    if (recentClicks.length === 0) {
+      rageBurstReported = false;
+    }
+    recentClicks.push(click);
+
+    const nearby = recentClicks.filter(previous =>
+      Math.hypot(previous.x - click.x, previous.y - click.y) <= CONFIG.RAGE_CLICK_RADIUS
+    );
+    // One rage_click per burst, however long the user keeps clicking
+    if (nearby.length >= CONFIG.RAGE_CLICK_COUNT && !rageBurstReported) {
+      rageBurstReported = true;
+      captureFrustrationSignal('rage_click', click, {
+        clickCount: nearby.length,
+        windowMs: CONFIG.RAGE_CLICK_WINDOW,
+        radiusPx: CONFIG.RAGE_CLICK_RADIUS
+      });
+    }
+  }
+
+  function isDeadClickCandidate(target) {
+    if (!target || !target.tagName) return false;
+    if (DEAD_CLICK_IGNORED_TAGS.includes(target.tagName) || target.isContentEditable) return false;
+    // Selecting text is a legitimate click that changes nothing
+    const selection = window.getSelection ? window.getSelection() : null;
+    return !(selection && selection.toString());
+  }
+
+  // The DOM recorder's observer already reports mutations; a separate one is
+  // only needed while DOM capture is off
+  function ensureDeadClickObserver() {
+    if (domObserver || deadClickObserver || typeof MutationObserver === 'undefined') return;
+    deadClickObserver = new MutationObserver(() => noteResponsiveActivity());
+    deadClickObserver.observe(document, { childList: true, attributes: true, characterData: true, subtree: true });
+  }
+
+  function trackDeadClick(click, target) {
+    if (!isDeadClickCandidate(target)) return;
+    // Repeated clicks on the same unresponsive element are one dead click
+    if (pendingDeadClicks.some(pending => pending.selector === click.selector)) return;
+
+    ensureDeadClickObserver();
+    click.timer = setTimeout(() => {
+      safeExecute(() => {
+        pendingDeadClicks = pendingDeadClicks.filter(pending => pending !== click);
+        captureFrustrationSignal('dead_click', click, { windowMs: CONFIG.DEAD_CLICK_WINDOW });
+        if (pendingDeadClicks.length === 0 && deadClickObserver) {
+          deadClickObserver.disconnect();
+          deadClickObserver = null;
+        }
+      }, 'dead_click_timer');
+    }, CONFIG.DEAD_CLICK_WINDOW);
+    pendingDeadClicks.push(click);
+  }
+
+  // Any DOM mutation, navigation or host network request counts as a response
+  function noteResponsiveActivity() {
+    if (pendingDeadClicks.length === 0) return;
+    pendingDeadClicks.forEach(click => clearTimeout(click.timer));
+    pendingDeadClicks = [];
+    if (deadClickObserver) {
+      deadClickObserver.disconnect();
+      deadClickObserver = null;
+    }
+  }
+
+  function noteErrorAfterClick(errorData) {
+    const click = lastClickForErrors;
+    if (!click || click.errorReported || Date.now() - click.time > CONFIG.ERROR_CLICK_WINDOW) return;
+
+    click.errorReported = true;
+    captureFrustrationSignal('error_click', click, {
+      windowMs: CONFIG.ERROR_CLICK_WINDOW,
+      errorName: errorData.name,
+      errorMessage: errorData.message
+    });
+  }
+
+  function trackClickForFrustration(event, selector) {
+    if (!CONFIG.DETECT_FRUSTRATION || recorderDisabled || sessionEnded) return;
+
+    safeExecute(() => {
+      const target = event.target;
+      const click = {
+        x: event.clientX || 0,
+        y: event.clientY || 0,
+        time: Date.now(),
+        selector: selector,
+        tag: target && target.tagName ? target.tagName.toLowerCase() : 'unknown'
+      };
+
+      lastClickForErrors = click;
+      detectRageClick(click);
+      trackDeadClick(click, target);
+    }, 'trackClickForFrustration');
+  }
+
+  // ============================================================================
+  // ORIGINAL RECORDER FUNCTIONALITY (WRAPPED IN SAFETY)
+  // ============================================================================
+  
+  // Global state
+  let isInitialized = false;
+  let projectId = null;
+  let userId = null;
+  let sessionId = null;
+  let visitorId = null;
+  let globalVisitorId = null;
+  let eventQueue = [];
+  let eventSequence = 0; // Last sequence number assigned in this session
+  let batchTimer = null;
+  let sessionData = null;
+  let sessionEnded = false;
+  let restartableSessionId = null; // Session that timed out; user activity starts its successor
+  let initializationPromise = null;
+  
+  // Activity tracking
+  let lastActivityTime = Date.now();
+  let inactivityTimer = null;
+  let visibilityTimer = null;
+
+  // Safe UUID generation with fallbacks
+  function generateUUID() {
+    return safeExecute(() => {
+      // Use crypto.randomUUID() if available (modern browsers)
+      if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+      }
+      
+      // Fallback for older browsers
+      return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+        const r = Math.random() * 16 | 0;
+        const v = c == 'x' ? r : (r & 0x3 | 0x8);
+        return v.toString(16);
+      });
+    }, 'generateUUID', true) || `fallback-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  function generateVisitorId(projectId) {
+    return generateUUID();
+  }
+
+  function generateGlobalVisitorId() {
+    return generateUUID();
+  }
+
+  function getOrCreateVisitorIds(projectId) {
+    return safeExecute(() => {
+      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+      
+      // Project-scoped visitor ID
+      const visitorKey = `whys_visitor_${projectId}`;
+      let visitorId = getStoredId(visitorKey);
+      if (!visitorId || !uuidRegex.test(visitorId)) {
+        if (visitorId && CONFIG.DEBUG) {
+          log("Invalid visitor ID format found, regenerating:", visitorId);
+        }
+        visitorId = generateVisitorId(projectId);
+        if (!uuidRegex.test(visitorId)) {
+          log("Generated visitor ID is invalid, regenerating:", visitorId);
+          visitorId = generateVisitorId(projectId);
+        }
+        setStoredId(visitorKey, visitorId);
+        log("Created new visitor ID:", visitorId);
+      }
+
+      // Global visitor ID (platform-wide)
+      const globalKey = 'whys_global_visitor';
+      let globalVisitorId = getStoredId(globalKey);
+      if (!globalVisitorId || !uuidRegex.test(globalVisitorId)) {
+        if (globalVisitorId && CONFIG.DEBUG) {
+          log("Invalid global visitor ID format found, regenerating:", globalVisitorId);
+        }
+        globalVisitorId = generateGlobalVisitorId();
+        if (!uuidRegex.test(globalVisitorId)) {
+          log("Generated global visitor ID is invalid, regenerating:", globalVisitorId);
+          globalVisitorId = generateGlobalVisitorId();
+        }
+        setStoredId(globalKey, globalVisitorId);
+        log("Created new global visitor ID:", globalVisitorId);
+      }
+
+      return { visitorId, globalVisitorId };
+    }, 'getOrCreateVisitorIds', true) || {
+      visitorId: generateVisitorId(projectId),
+      globalVisitorId: generateGlobalVisitorId()
+    };
+  }
+
+  function getOrCreateSessionId(projectId) {
+    return safeExecute(() => {
+      const sessionKey = `whys_session_${projectId}`;
+      const timestampKey = `whys_session_timestamp_${projectId}`;
+      
+      const existingSessionId = getStoredId(sessionKey);
+      const existingTimestamp = getStoredId(timestampKey);
+      
+      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+      
+      if (existingSessionId && existingTimestamp) {
+        if (!uuidRegex.test(existingSessionId)) {
+          log("Invalid session ID format found, clearing:", existingSessionId);
+          removeStoredId(sessionKey);
+          removeStoredId(timestampKey);
+        } else {
+          const sessionAge = Date.now() - parseInt(existingTimestamp);
+          const maxInactivity = CONFIG.INACTIVITY_TIMEOUT;
+          if (sessionAge < maxInactivity && isPastSessionDeadline(readSessionStart(projectId, existingSessionId))) {
+            log("Session reached its maximum length, creating new one:", existingSessionId);
+            removeStoredId(sessionKey);
+            removeStoredId(timestampKey);
+          } else if (sessionAge < maxInactivity) {
+            log("Continuing existing session:", existingSessionId, "Age:", Math.round(sessionAge / 60000), "minutes");
+            setStoredId(timestampKey, Date.now().toString());
+            return existingSessionId;
+          } else {
+            log("Session expired, creating new one. Age:", Math.round(sessionAge / 60000), "minutes");
+            removeStoredId(sessionKey);
+            removeStoredId(timestampKey);
+          }
+        }
+      }
+      
+      const newSessionId = generateUUID();
+      
+      if (!uuidRegex.test(newSessionId)) {
+        log("Generated session ID is invalid:", newSessionId, "Regenerating...");
+        const retrySessionId = generateUUID();
+        if (!uuidRegex.test(retrySessionId)) {
+          throw new Error("UUID generation failed");
+        }
+        setStoredId(sessionKey, retrySessionId);
+        setStoredId(timestampKey, Date.now().toString());
+        log("Created new session (retry):", retrySessionId);
+        return retrySessionId;
+      }
+      
+      setStoredId(sessionKey, newSessionId);
+      setStoredId(timestampKey, Date.now().toString());
+      
+      log("Created new session:", newSessionId);
+      return newSessionId;
+      
+    }, 'getOrCreateSessionId', true) || generateUUID();
+  }
+
+  // Absolute session limits: MAX_SESSION_DURATION after the start and/or the
+  // next local midnight. The start is stored with its session ID so reloads,
+  // other tabs and subdomains agree on it.
+  let sessionStartedAt = null;
+  let sessionRolloverTimer = null;
+
+  function getSessionStartKey(projectId) {
+    return `whys_session_start_${projectId}`;
+  }
+
+  function readSessionStart(projectId, id) {
+    return safeExecute(() => {
+      const stored = JSON.parse(getStoredId(getSessionStartKey(projectId)) || 'null');
+      return stored && stored.sessionId === id && Number.isFinite(stored.startedAt) ? stored.startedAt : null;
+    }, 'readSessionStart') || null;
+  }
+
+  function persistSessionStart() {
+    if (!projectId || !sessionId || !sessionStartedAt) return;
+    setStoredId(getSessionStartKey(projectId), JSON.stringify({ sessionId: sessionId, startedAt: sessionStartedAt }));
+  }
+
+  function loadSessionStart() {
+    sessionStartedAt = readSessionStart(projectId, sessionId) || Date.now();
+    persistSessionStart();
+  }
+
+  // Earliest limit for a session started at startedAt, or null without limits
+  function getSessionDeadline(startedAt) {
+    let deadline = null;
+    if (CONFIG.MAX_SESSION_DURATION) {
+      deadline = { time: startedAt + CONFIG.MAX_SESSION_DURATION, reason: 'max_duration' };
+    }
+    if (CONFIG.SESSION_ROLLOVER === 'midnight') {
+      const midnight = new Date(startedAt);
+      midnight.setHours(24, 0, 0, 0);
+      if (!deadline || midnight.getTime() < deadline.time) {
+        deadline = { time: midnight.getTime(), reason: 'midnight_rollover' };
+      }
+    }
+    return deadline;
+  }
+
+  function isPastSessionDeadline(startedAt) {
+    const deadline = startedAt ? getSessionDeadline(startedAt) : null;
+    return !!deadline && Date.now() >= deadline.time;
+  }
+
+  function clearSessionRolloverTimer() {
+    if (sessionRolloverTimer) {
+      clearTimeout(sessionRolloverTimer);
+      sessionRolloverTimer = null;
+    }
+  }
+
+  // Ends the session at its deadline; the next activity starts a new one
+  function scheduleSessionRollover() {
+    clearSessionRolloverTimer();
+    const deadline = sessionStartedAt ? getSessionDeadline(sessionStartedAt) : null;
+    if (!deadline || sessionEnded || recorderDisabled) return;
+
+    // setTimeout overflows beyond ~24.8 days; re-check when it fires early
+    const delay = Math.min(Math.max(0, deadline.time - Date.now()), 2147483647);
+    sessionRolloverTimer = setTimeout(() => {
+      sessionRolloverTimer = null;
+      if (sessionEnded) return;
+      if (Date.now() < deadline.time) {
+        scheduleSessionRollover();
+        return;
+      }
+      endSession(deadline.reason, {
+        session_started_at: new Date(sessionStartedAt).toISOString()
+      }, { localOnly: !isLeaderTab() });
+    }, delay);
+  }
+
+  // Per-session event sequence, stored as { sessionId, sequence } so a reload
+  // of the same session continues numbering and a new session starts at 0
+  function getSequenceKey(projectId) {
+    return `whys_session_seq_${projectId}`;
+  }
+
+  function loadEventSequence() {
+    return safeExecute(() => {
+      const stored = JSON.parse(safeLocalStorageGet(getSequenceKey(projectId)) || 'null');
+      if (stored && stored.sessionId === sessionId && Number.isInteger(stored.sequence) && stored.sequence >= 0) {
+        return stored.sequence;
+      }
+      return 0;
+    }, 'loadEventSequence') || 0;
+  }
+
+  function persistEventSequence() {
+    if (!projectId || !sessionId) return;
+    // Other tabs share the key; never move it backwards under them
+    const sequence = Math.max(eventSequence, loadEventSequence());
+    safeLocalStorageSet(getSequenceKey(projectId), JSON.stringify({ sessionId: sessionId, sequence: sequence }));
+  }
+
+  // ============================================================================
+  // SUPER PROPERTIES & TRAITS
+  // ============================================================================
+  // Super properties (register) are attached to every event as `properties`;
+  // user traits and session properties travel in sessionData. All three are
+  // stored with their session ID, so a reload of the same session restores
+  // them and a new session on the next page load starts empty. Each set is
+  // capped at MAX_PROPERTIES_SIZE bytes of JSON; updates beyond it are refused.
+
+  let superProperties = {};
+  let userTraits = {};
+  let sessionProperties = {};
+
+  function getPropertiesKey(projectId) {
+    return `whys_props_${projectId}`;
+  }
+
+  // Plain JSON values only; returns null when not serializable or over the cap.
+  // Bad input (circular objects, BigInt) is the caller's mistake, so it is
+  // reported here instead of counting toward the circuit breaker.
+  function normalizeProperties(properties, kind) {
+    let json;
+    try {
+      json = JSON.stringify(properties);
+    } catch (e) {
+      log('Ignoring', kind, 'update: not serializable:', e.message);
+      return null;
+    }
+    if (new TextEncoder().encode(json).length > CONFIG.MAX_PROPERTIES_SIZE) {
+      log('Ignoring', kind, 'update: exceeds', CONFIG.MAX_PROPERTIES_SIZE, 'bytes');
+      return null;
+    }
+    return JSON.parse(json);
+  }
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function persistProperties() {
+    if (!projectId || !sessionId) return;
+    safeLocalStorageSet(getPropertiesKey(projectId), JSON.stringify({
+      sessionId: sessionId,
+      superProperties: superProperties,
+      userTraits: userTraits,
+      sessionProperties: sessionProperties
+    }));
+  }
+
+  function loadProperties() {
+    safeExecute(() => {
+      const stored = JSON.parse(safeLocalStorageGet(getPropertiesKey(projectId)) || 'null');
+      const sameSession = stored && stored.sessionId === sessionId;
+      superProperties = sameSession && stored.superProperties ? stored.superProperties : {};
+      userTraits = sameSession && stored.userTraits ? stored.userTraits : {};
+      sessionProperties = sameSession && stored.sessionProperties ? stored.sessionProperties : {};
+      syncPropertiesToSessionData();
+    }, 'loadProperties');
+  }
+
+  function syncPropertiesToSessionData() {
+    if (!sessionData) return;
+    sessionData.userTraits = userTraits;
+    sessionData.sessionProperties = sessionProperties;
+  }
+
+  function clearProperties() {
+    superProperties = {};
+    userTraits = {};
+    sessionProperties = {};
+    syncPropertiesToSessionData();
+    if (projectId) safeLocalStorageRemove(getPropertiesKey(projectId));
+  }
+
+  // Objects are replaced rather than mutated so batches already built keep
+  // the values they were built with
+  function registerSuperProperties(properties) {
+    const merged = normalizeProperties({ ...superProperties, ...properties }, 'register');
+    if (!merged) return false;
+    superProperties = merged;
+    persistProperties();
+    return true;
+  }
+
+  function unregisterSuperProperty(key) {
+    if (!Object.prototype.hasOwnProperty.call(superProperties, key)) return;
+    const remaining = { ...superProperties };
+    delete remaining[key];
+    superProperties = remaining;
+    persistProperties();
+  }
+
+  function updateUserTraits(traits) {
+    const merged = normalizeProperties({ ...userTraits, ...traits }, 'setUserTraits');
+    if (!merged) return false;
+    userTraits = merged;
+    syncPropertiesToSessionData();
+    persistProperties();
+    return true;
+  }
+
+  function updateSessionProperties(properties) {
+    const merged = normalizeProperties({ ...sessionProperties, ...properties }, 'setSessionProperties');
+    if (!merged) return false;
+    sessionProperties = merged;
+    syncPropertiesToSessionData();
+    persistProperties();
+    return true;
+  }
+
+  function log(...args) {
+    if (CONFIG.DEBUG && !recorderDisabled) {
+      safeExecute(() => {
+        console.log('[WhysRecorder]', ...args);
+      }, 'log');
+    }
+  }
+
+  function getElementSelector(element) {
+    if (!element || recorderDisabled) return null;
+    
+    return safeExecute(() => {
+      if (element.id) {
+        return '#' + element.id;
+      }
+      
+      if (element.className) {
+        let classNames = '';
+        if (typeof element.className === 'string') {
+          classNames = element.className;
+        } else if (element.className.baseVal) {
+          classNames = element.className.baseVal;
+        }
+        
+        if (classNames) {
+          const classes = classNames.split(' ').filter(c => c.trim()).join('.');
+          if (classes) {
+            return element.tagName.toLowerCase() + '.' + classes;
+          }
+        }
+      }
+      
+      return element.tagName ? element.tagName.toLowerCase() : 'unknown';
+    }, 'getElementSelector') || 'unknown';
+  }
+
+  function getElementText(element) {
+    if (!element || recorderDisabled) return null;
+    
+    return safeExecute(() => {
+      const text = (element.textContent || element.innerText || '').trim().substring(0, 100);
+      return isMaskedNode(element) ? maskText(text) : text;
+    }, 'getElementText') || '';
+  }
+
+  /**
+   * Enhanced field label detection for form inputs
+   * Finds the actual user-visible label for form fields
+   */
+  function getFieldLabel(element) {
+    if (!element || recorderDisabled) return null;
+    
+    return safeExecute(() => {
+      // 1. Check for associated label via 'for' attribute (most reliable)
+      if (element.id) {
+        const label = document.querySelector(`label[for="${element.id}"]`);
         if (label && label.textContent) {
           const labelText = label.textContent.trim();
           if (labelText) {
@@ -724,670 +2769,2502 @@
           }
         }
       }
-      
-      // 2. Check for wrapping label element
-      let parent = element.parentElement;
-      let depth = 0;
-      while (parent && depth < 5) { // Limit depth to avoid infinite loops
-        if (parent.tagName === 'LABEL') {
-          // Get label text, excluding the input element's text
-          const labelText = parent.textContent || parent.innerText || '';
-          const elementText = element.textContent || element.innerText || '';
-          const cleanLabelText = labelText.replace(elementText, '').trim();
-          if (cleanLabelText) {
-            return cleanLabelText.substring(0, 100);
-          }
+      
+      // 2. Check for wrapping label element
+      let parent = element.parentElement;
+      let depth = 0;
+      while (parent && depth < 5) { // Limit depth to avoid infinite loops
+        if (parent.tagName === 'LABEL') {
+          // Get label text, excluding the input element's text
+          const labelText = parent.textContent || parent.innerText || '';
+          const elementText = element.textContent || element.innerText || '';
+          const cleanLabelText = labelText.replace(elementText, '').trim();
+          if (cleanLabelText) {
+            return cleanLabelText.substring(0, 100);
+          }
+        }
+        parent = parent.parentElement;
+        depth++;
+      }
+      
+      // 3. Check for placeholder attribute
+      if (element.placeholder && element.placeholder.trim()) {
+        return element.placeholder.trim().substring(0, 100);
+      }
+      
+      // 4. Check for aria-label attribute
+      const ariaLabel = element.getAttribute('aria-label');
+      if (ariaLabel && ariaLabel.trim()) {
+        return ariaLabel.trim().substring(0, 100);
+      }
+      
+      // 5. Check for aria-labelledby
+      const ariaLabelledBy = element.getAttribute('aria-labelledby');
+      if (ariaLabelledBy) {
+        const labelElement = document.getElementById(ariaLabelledBy);
+        if (labelElement && labelElement.textContent) {
+          const labelText = labelElement.textContent.trim();
+          if (labelText) {
+            return labelText.substring(0, 100);
+          }
+        }
+      }
+      
+      // 6. Check for nearby text elements (previous sibling)
+      const prevSibling = element.previousElementSibling;
+      if (prevSibling && prevSibling.textContent) {
+        const siblingText = prevSibling.textContent.trim();
+        // Only use if it's short enough to be a label (not paragraph text)
+        if (siblingText && siblingText.length < 50) {
+          return siblingText.substring(0, 100);
+        }
+      }
+      
+      // 7. Check for name attribute as last resort
+      if (element.name && element.name.trim()) {
+        // Convert name to readable format (e.g., "firstName" -> "First Name")
+        const nameText = element.name
+          .replace(/([A-Z])/g, ' $1') // Add space before capitals
+          .replace(/[_-]/g, ' ') // Replace underscores and hyphens with spaces
+          .trim()
+          .replace(/\b\w/g, l => l.toUpperCase()); // Capitalize first letters
+        
+        if (nameText && nameText !== element.name) {
+          return nameText.substring(0, 100);
+        }
+      }
+      
+      return null;
+    }, 'getFieldLabel') || null;
+  }
+
+  function getDeviceInfo() {
+    return safeExecute(() => {
+      return {
+        userAgent: navigator.userAgent || 'unknown',
+        language: navigator.language || 'unknown',
+        platform: navigator.platform || 'unknown',
+        cookieEnabled: navigator.cookieEnabled || false,
+        onLine: navigator.onLine || true,
+        screenResolution: `${screen.width || 0}x${screen.height || 0}`,
+        viewportSize: `${window.innerWidth || 0}x${window.innerHeight || 0}`,
+        timezone: (() => {
+          try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone;
+          } catch (e) {
+            return 'unknown';
+          }
+        })()
+      };
+    }, 'getDeviceInfo') || {};
+  }
+
+  function updateActivity() {
+    if (recorderDisabled) return;
+    safeExecute(() => {
+      lastActivityTime = Date.now();
+      healthMetrics.lastEventTime = Date.now(); // Phase 1: For adaptive health reporting
+      startInactivityTimer();
+      shareActivity();
+    }, 'updateActivity');
+  }
+
+  // Optional activity signals (keydown, mousemove, touchstart) only keep the
+  // session alive or restart it; they are not recorded as events
+  const OPTIONAL_ACTIVITY_EVENTS = ['keydown', 'mousemove', 'touchstart'];
+  const ACTIVITY_SIGNAL_THROTTLE = 1000;
+  let activityListenerTypes = [];
+
+  function handleActivitySignal() {
+    if (recorderDisabled || !isInitialized) return;
+    safeExecute(() => {
+      if (sessionEnded) {
+        resumeSessionAfterTimeout();
+      } else if (Date.now() - lastActivityTime >= ACTIVITY_SIGNAL_THROTTLE) {
+        updateActivity();
+      }
+    }, 'handleActivitySignal');
+  }
+
+  function startInactivityTimer() {
+    if (recorderDisabled) return;
+    safeExecute(() => {
+      if (inactivityTimer) {
+        clearTimeout(inactivityTimer);
+      }
+      
+      inactivityTimer = setTimeout(() => {
+        if (!sessionEnded) {
+          // Every tab idles out together; only the leader reports session_end
+          endSession('inactivity_timeout', {
+            inactive_duration: CONFIG.INACTIVITY_TIMEOUT
+          }, { localOnly: !isLeaderTab() });
+        }
+      }, CONFIG.INACTIVITY_TIMEOUT);
+    }, 'startInactivityTimer');
+  }
+
+  // Session ends that the next user activity recovers from with a new session
+  const RESTARTABLE_END_REASONS = ['inactivity_timeout', 'tab_hidden_timeout', 'max_duration', 'midnight_rollover'];
+
+  // With localOnly (other tabs still share the session) this tab just flushes
+  // and stops; session_end is left to the last tab
+  function endSession(reason, additionalData = {}, options = {}) {
+    if (sessionEnded || recorderDisabled) return;
+    
+    safeExecute(() => {
+      // Ship any buffered DOM diff and final vitals before the session closes
+      flushDomMutations();
+      stopDomRecording();
+      reportWebVitals('session_end');
+      flushAbandonedForms(reason);
+      
+      log('Ending session:', reason, additionalData);
+      
+      if (!options.localOnly) {
+        captureEvent('session_end', {
+          metadata: { 
+            reason: reason,
+            session_duration: getSessionDuration(), // Monotonic, immune to clock changes
+            ...additionalData
+          }
+        });
+        // A reset is announced with session_reset once the new session exists
+        if (reason !== 'reset') {
+          postTabMessage('session_ended', { reason: reason });
+        }
+      }
+      // Only after session_end is queued: captureEvent drops events once ended
+      sessionEnded = true;
+      restartableSessionId = RESTARTABLE_END_REASONS.includes(reason) ? sessionId : null;
+      postTabMessage('bye');
+      
+      // options.pageStays: the page keeps running (reset), so nothing needs the
+      // unload path and backed-off batches can still wait for their timer
+      if (eventQueue.length > 0) {
+        sendBatch(!options.pageStays);
+      }
+      
+      if (!options.pageStays) {
+        // Batches still backing off can't wait for their timer any more
+        persistRetryQueue();
+      }
+      
+      [inactivityTimer, visibilityTimer, batchTimer].forEach(timer => {
+        if (timer) {
+          clearTimeout(timer);
+        }
+      });
+      clearSessionRolloverTimer();
+      clearFrustrationState();
+      
+      inactivityTimer = null;
+      visibilityTimer = null;
+      batchTimer = null;
+    }, 'endSession');
+  }
+
+  function handleVisibilityChange() {
+    if (recorderDisabled) return;
+    // Coming back to a tab that timed out counts as activity
+    if (sessionEnded && (document.hidden || !resumeSessionAfterTimeout())) return;
+    
+    safeExecute(() => {
+      if (document.hidden) {
+        log('Page hidden - starting tab hidden timer');
+        // The page may never become visible again, so finalize vitals now
+        reportWebVitals('visibility_hidden');
+        if (visibilityTimer) {
+          clearTimeout(visibilityTimer);
+        }
+        
+        const tabHiddenTimeout = CONFIG.TAB_HIDDEN_TIMEOUT;
+        visibilityTimer = setTimeout(() => {
+          // Another open tab keeps the shared session going
+          if (document.hidden && !sessionEnded && !hasOtherLiveTabs()) {
+            endSession('tab_hidden_timeout', {
+              hidden_duration: tabHiddenTimeout
+            });
+          }
+        }, tabHiddenTimeout);
+        
+      } else {
+        log('Page visible - resetting activity');
+        if (visibilityTimer) {
+          clearTimeout(visibilityTimer);
+          visibilityTimer = null;
+        }
+        updateActivity();
+      }
+      
+      captureEvent('visibility', {
+        metadata: { 
+          hidden: document.hidden,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }, 'handleVisibilityChange');
+  }
+
+  const ACTIVITY_EVENT_TYPES = ['click', 'scroll', 'input', 'navigation'];
+
+  function captureEvent(eventType, data = {}) {
+    if (sessionEnded && isInitialized && ACTIVITY_EVENT_TYPES.includes(eventType)) {
+      resumeSessionAfterTimeout();
+    }
+    if (!isInitialized || !sessionId || sessionEnded || recorderDisabled) return;
+
+    return safeExecute(() => {
+      // Memory protection - prevent queue overflow
+      if (eventQueue.length >= CONFIG.MAX_EVENT_QUEUE_SIZE) {
+        log('Event queue overflow, dropping old events');
+        eventQueue = eventQueue.slice(-CONFIG.MAX_EVENT_QUEUE_SIZE / 2);
+        
+        // Send health event for memory limit
+        sendHealthEvent('memory_limit_exceeded', {
+          queueLength: eventQueue.length,
+          maxQueueSize: CONFIG.MAX_EVENT_QUEUE_SIZE,
+          eventsProcessed: healthMetrics.eventsProcessed,
+          reason: 'Event queue overflow protection'
+        });
+      }
+
+      const event = {
+        sessionId: sessionId,
+        eventType: eventType,
+        timestamp: new Date().toISOString(),
+        pageUrl: getSanitizedPageUrl(),
+        ...(Object.keys(superProperties).length > 0 ? { properties: superProperties } : {}),
+        ...data,
+        tabId: getTabId(),
+        sequence: ++eventSequence,
+        monotonicTime: Math.round(monotonicNow())
+      };
+
+      eventQueue.push(event);
+      healthMetrics.eventsProcessed++;
+      log('Event captured:', eventType, data);
+
+      if (ACTIVITY_EVENT_TYPES.includes(eventType)) {
+        updateActivity();
+      }
+
+      scheduleBatchSend();
+      // A full batch is already on its way (and out of eventQueue) by now, but
+      // delivery is only reported asynchronously, after this returns
+      return event;
+    }, 'captureEvent');
+  }
+
+  function scheduleBatchSend() {
+    if (eventQueue.length >= CONFIG.BATCH_SIZE) {
+      sendBatch();
+    } else if (!batchTimer) {
+      batchTimer = setTimeout(() => {
+        // Flush any pending console logs before sending batch
+        if (consoleLogQueue.length > 0) {
+          flushConsoleLogs();
+        }
+        sendBatch();
+      }, CONFIG.BATCH_TIMEOUT);
+    }
+  }
+
+  // ============================================================================
+  // SENSITIVE DATA FILTERING - Enhanced Security
+  // ============================================================================
+  const SENSITIVE_PATTERNS = [
+    /passw(or)?d/i,
+    /passwd/i,
+    /pwd/i,
+    /pin/i,
+    /ssn/i,
+    /social[-_\s]?security/i,
+    /credit[-_\s]?card/i,
+    /cc[-_\s]?number/i,
+    /card[-_\s]?number/i,
+    /cvv/i,
+    /cvc/i,
+    /security[-_\s]?code/i,
+    /api[-_\s]?key/i,
+    /access[-_\s]?token/i,
+    /secret/i,
+    /auth[-_\s]?token/i,
+    /bearer/i,
+    /routing[-_\s]?number/i,
+    /account[-_\s]?number/i,
+    /tax[-_\s]?id/i,
+    /ein/i
+  ];
+
+  function isSensitiveInput(element) {
+    if (!element) return true; // Default to sensitive if unclear
+    
+    // Always filter password fields
+    if (element.type === 'password') return true;
+    
+    // Check autocomplete attributes (standard HTML autocomplete values)
+    const autocomplete = element.autocomplete?.toLowerCase() || '';
+    if (autocomplete.includes('cc-') || 
+        autocomplete === 'new-password' ||
+        autocomplete === 'current-password' ||
+        autocomplete === 'one-time-code') {
+      return true;
+    }
+    
+    // Check name, id, and placeholder for sensitive keywords
+    const checkStrings = [
+      element.name,
+      element.id,
+      element.placeholder,
+      element.className
+    ].filter(Boolean).join(' ').toLowerCase();
+    
+    if (SENSITIVE_PATTERNS.some(pattern => pattern.test(checkStrings))) {
+      return true;
+    }
+    
+    // Check associated label text
+    const label = getFieldLabel(element)?.toLowerCase() || '';
+    if (SENSITIVE_PATTERNS.some(pattern => pattern.test(label))) {
+      return true;
+    }
+    
+    return false;
+  }
+
+  // ============================================================================
+  // DECLARATIVE PRIVACY CONTROLS (data-whys-mask / -block / -ignore)
+  // ============================================================================
+  // Rules apply to the matching element and all of its descendants:
+  // - mask:   text and labels are replaced with same-length placeholders
+  // - block:  no events originate from inside the subtree; replay shows a placeholder
+  // - ignore: input and form tracking is skipped for fields inside the subtree
+
+  const PRIVACY_RULES = {
+    mask: ['[data-whys-mask]', '.whys-mask'],
+    block: ['[data-whys-block]', '.whys-block'],
+    ignore: ['[data-whys-ignore]', '.whys-ignore']
+  };
+  const privacySelectorCache = {};
+
+  // Attributes that can carry user-visible text inside a masked subtree
+  const MASKED_ATTRIBUTES = ['value', 'placeholder', 'title', 'alt', 'aria-label'];
+
+  function addPrivacySelectors(kind, selectors) {
+    const list = typeof selectors === 'string' ? [selectors] : selectors;
+    if (!Array.isArray(list)) return;
+
+    list.forEach(selector => {
+      if (typeof selector !== 'string' || !selector.trim()) return;
+      try {
+        // Throws on invalid syntax, which would otherwise break every closest() call
+        document.createDocumentFragment().querySelector(selector);
+        if (!PRIVACY_RULES[kind].includes(selector.trim())) {
+          PRIVACY_RULES[kind].push(selector.trim());
+        }
+      } catch (e) {
+        log('Ignoring invalid ' + kind + ' selector:', selector);
+      }
+    });
+    delete privacySelectorCache[kind];
+  }
+
+  function getPrivacySelector(kind) {
+    if (!privacySelectorCache[kind]) {
+      privacySelectorCache[kind] = PRIVACY_RULES[kind].join(',');
+    }
+    return privacySelectorCache[kind];
+  }
+
+  function matchesPrivacyRule(node, kind) {
+    const element = node && node.nodeType === 1 ? node : node && node.parentElement;
+    if (!element || typeof element.closest !== 'function') return false;
+    return safeExecute(() => !!element.closest(getPrivacySelector(kind)), 'matchesPrivacyRule') || false;
+  }
+
+  function isMaskedNode(node) {
+    return matchesPrivacyRule(node, 'mask');
+  }
+
+  function isBlockedNode(node) {
+    return matchesPrivacyRule(node, 'block');
+  }
+
+  function isIgnoredNode(node) {
+    return matchesPrivacyRule(node, 'ignore');
+  }
+
+  // Field label as it may be recorded (masked when the field is in a masked subtree).
+  // isSensitiveInput keeps using the raw label for its keyword checks.
+  function getRecordedFieldLabel(element) {
+    const label = getFieldLabel(element);
+    return label && isMaskedNode(element) ? maskText(label) : label;
+  }
+
+  // ============================================================================
+  // URL SANITIZATION
+  // ============================================================================
+  // Applied to every URL the recorder stores (pageUrl, navigation, referrer,
+  // console URLs). Query/hash parameters with secret-looking names or values
+  // that look like emails or UUIDs are replaced with [REDACTED], as are path
+  // segments matching the same value patterns or a configured path rule.
+
+  const SENSITIVE_URL_PARAM_PATTERN = /token|passw(or)?d|passwd|pwd|secret|api[-_]?key|auth|signature|^sig$|^code$|otp|email|e-?mail|session|^sid$|ssn|credential|magic|reset|verif|nonce/i;
+  const URL_EMAIL_PATTERN = /[^\s@/?#&=]+@[^\s@/?#&=]+\.[a-z]{2,}/i;
+  const URL_UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+
+  let sanitizedPageUrlCache = { raw: null, sanitized: null };
+
+  function safeDecodeUrlPart(part) {
+    try {
+      return decodeURIComponent(part.replace(/\+/g, ' '));
+    } catch (e) {
+      return part;
+    }
+  }
+
+  // Strings match parameter names case-insensitively; RegExps are tested as-is
+  function matchesParamRule(name, rule) {
+    if (rule instanceof RegExp) return rule.test(name);
+    return typeof rule === 'string' && rule.toLowerCase() === name.toLowerCase();
+  }
+
+  function isSensitiveUrlValue(value) {
+    return URL_EMAIL_PATTERN.test(value) || URL_UUID_PATTERN.test(value);
+  }
+
+  function shouldRedactUrlParam(name, value) {
+    if (name === CROSS_DOMAIN_PARAM) return true;
+    if (CONFIG.URL_PARAM_ALLOWLIST.some(rule => matchesParamRule(name, rule))) return false;
+    if (CONFIG.URL_PARAM_DENYLIST.some(rule => matchesParamRule(name, rule))) return true;
+    return SENSITIVE_URL_PARAM_PATTERN.test(name) || isSensitiveUrlValue(value);
+  }
+
+  // Works on the raw query string so untouched parameters keep their encoding
+  function redactUrlParams(query) {
+    return query.split('&').map(pair => {
+      if (!pair) return pair;
+      const separator = pair.indexOf('=');
+      if (separator === -1) return pair;
+      const name = safeDecodeUrlPart(pair.slice(0, separator));
+      const value = safeDecodeUrlPart(pair.slice(separator + 1));
+      return shouldRedactUrlParam(name, value) ? pair.slice(0, separator) + '=[REDACTED]' : pair;
+    }).join('&');
+  }
+
+  // String rules describe a path prefix where "*" marks the segment to redact,
+  // e.g. "/reset-password/*" or "/users/*/orders". RegExp rules are tested
+  // against each segment.
+  function redactUrlPath(path) {
+    if (!CONFIG.SCRUB_URLS || !path) return path;
+    const segments = path.split('/');
+    const redacted = segments.map(segment => segment && isSensitiveUrlValue(safeDecodeUrlPart(segment)));
+
+    CONFIG.URL_PATH_REDACTIONS.forEach(rule => {
+      if (rule instanceof RegExp) {
+        segments.forEach((segment, index) => {
+          if (segment && rule.test(safeDecodeUrlPart(segment))) redacted[index] = true;
+        });
+        return;
+      }
+      if (typeof rule !== 'string' || !rule.includes('*')) return;
+      const ruleSegments = rule.split('/');
+      if (ruleSegments.length > segments.length) return;
+      const matches = ruleSegments.every((ruleSegment, index) =>
+        ruleSegment === '*' ? !!segments[index] : ruleSegment === segments[index]);
+      if (!matches) return;
+      ruleSegments.forEach((ruleSegment, index) => {
+        if (ruleSegment === '*') redacted[index] = true;
+      });
+    });
+
+    return segments.map((segment, index) => redacted[index] ? '[REDACTED]' : segment).join('/');
+  }
+
+  // Hash routes ("#/reset/abc?token=x") and OAuth fragments ("#access_token=x")
+  function redactUrlHash(hash) {
+    if (!hash || hash === '#') return hash;
+    const fragment = hash.slice(1);
+    const queryStart = fragment.indexOf('?');
+    if (queryStart !== -1) {
+      return '#' + redactUrlPath(fragment.slice(0, queryStart)) + '?' + redactUrlParams(fragment.slice(queryStart + 1));
+    }
+    if (fragment.includes('=')) return '#' + redactUrlParams(fragment);
+    return '#' + redactUrlPath(fragment);
+  }
+
+  function sanitizeUrl(url) {
+    if (!url || !CONFIG.SCRUB_URLS) return url;
+
+    return safeExecute(() => {
+      const parsed = resolveUrl(url);
+      // Unparseable or opaque (about:, data:) URLs: drop everything that could carry data
+      if (!parsed || parsed.origin === 'null') return String(url).split(/[?#]/)[0];
+
+      // origin never includes user:password credentials
+      const query = parsed.search ? '?' + redactUrlParams(parsed.search.slice(1)) : '';
+      return parsed.origin + redactUrlPath(parsed.pathname) + query + redactUrlHash(parsed.hash);
+    }, 'sanitizeUrl') || String(url).split(/[?#]/)[0];
+  }
+
+  // Called for every captured event, so the last result is cached
+  function getSanitizedPageUrl() {
+    const rawUrl = window.location.href;
+    if (sanitizedPageUrlCache.raw !== rawUrl) {
+      sanitizedPageUrlCache = { raw: rawUrl, sanitized: sanitizeUrl(rawUrl) };
+    }
+    return sanitizedPageUrlCache.sanitized;
+  }
+
+  function setUrlRules(key, rules) {
+    const list = typeof rules === 'string' ? [rules] : rules;
+    // Any call may change what gets redacted, so the cached page URL is stale either way
+    sanitizedPageUrlCache = { raw: null, sanitized: null };
+    if (!Array.isArray(list)) return;
+    CONFIG[key] = list.filter(rule => rule instanceof RegExp || (typeof rule === 'string' && rule.trim()))
+      .map(rule => typeof rule === 'string' ? rule.trim() : rule);
+  }
+
+  // ============================================================================
+  // DOM SNAPSHOT & MUTATION RECORDING (visual replay)
+  // ============================================================================
+
+  let domNodeIds = new WeakMap(); // Node -> stable numeric id shared by snapshots and diffs
+  let blockedDomNodes = new WeakSet(); // Elements last serialized as block placeholders
+  let nextDomNodeId = 1;
+  let domObserver = null;
+  let pendingMutations = [];
+  let mutationFlushTimer = null;
+  // Diffs only make sense against a snapshot the server has. They are held
+  // back until the latest snapshot is delivered, and dropped when it is lost.
+  let domSnapshotRef = null;        // { tabId, sequence } of the snapshot awaiting delivery
+  let domSnapshotDelivered = false;
+  let domResyncNeeded = false;      // pending diffs were discarded while waiting
+
+  const DOM_MAX_PENDING_MUTATIONS = 5000;
+
+  const DOM_MASK_CHAR = '*';
+  const DOM_SKIPPED_TAGS = ['SCRIPT', 'NOSCRIPT'];
+  // Links, form targets and media sources get the same scrubbing as page URLs
+  const DOM_URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'data', 'xlink:href', 'ping', 'background'];
+
+  function getDomNodeId(node) {
+    let id = domNodeIds.get(node);
+    if (!id) {
+      id = nextDomNodeId++;
+      domNodeIds.set(node, id);
+    }
+    return id;
+  }
+
+  // Forget every id so the next snapshot doesn't rely on nodes the server never saw
+  function resetDomNodeIds() {
+    domNodeIds = new WeakMap();
+    blockedDomNodes = new WeakSet();
+    nextDomNodeId = 1;
+    domSnapshotRef = null;
+    domSnapshotDelivered = false;
+    domResyncNeeded = false;
+    pendingMutations = [];
+  }
+
+  function isPendingDomSnapshot(event) {
+    return !!domSnapshotRef && event.eventType === 'dom_snapshot' &&
+      event.tabId === domSnapshotRef.tabId && event.sequence === domSnapshotRef.sequence;
+  }
+
+  function handleDeliveredEvents(events) {
+    if (!domSnapshotRef || !Array.isArray(events) || !events.some(isPendingDomSnapshot)) return;
+    domSnapshotRef = null;
+    domSnapshotDelivered = true;
+    if (domResyncNeeded) {
+      domResyncNeeded = false;
+      takeDomSnapshot('resync');
+    } else if (pendingMutations.length > 0) {
+      scheduleMutationFlush();
+    }
+  }
+
+  function handleDroppedEvents(events) {
+    if (!domSnapshotRef || !Array.isArray(events) || !events.some(isPendingDomSnapshot)) return;
+    log('DOM snapshot was not delivered, suspending diffs until the next snapshot');
+    resetDomNodeIds();
+  }
+
+  function maskText(text) {
+    return text ? text.replace(/\S/g, DOM_MASK_CHAR) : text;
+  }
+
+  // data: URLs are inline content, not locations, and lose their payload if cut at '#'
+  function sanitizeAttributeUrl(url) {
+    return /^\s*data:/i.test(url) ? url : sanitizeUrl(url.trim());
+  }
+
+  function sanitizeDomAttribute(name, value) {
+    if (!value || !CONFIG.SCRUB_URLS) return value;
+    const attributeName = name.toLowerCase();
+    if (DOM_URL_ATTRIBUTES.includes(attributeName)) {
+      return sanitizeAttributeUrl(value);
+    }
+    if (attributeName === 'srcset') {
+      // "url 2x, url 640w": a URL is the first token of each candidate and may
+      // itself contain commas (data: URLs), so split on whitespace, not commas
+      let expectUrl = true;
+      return value.split(/(\s+)/).map(token => {
+        if (!token || /^\s+$/.test(token)) return token;
+        const isUrl = expectUrl;
+        expectUrl = token.endsWith(',');
+        if (!isUrl) return token;
+        const trailing = /,*$/.exec(token)[0];
+        return sanitizeAttributeUrl(token.slice(0, token.length - trailing.length)) + trailing;
+      }).join('');
+    }
+    return value;
+  }
+
+  // Form fields whose value must never appear in a snapshot
+  function isMaskedFormElement(element) {
+    if (!element || !element.tagName) return false;
+    const tag = element.tagName;
+    return (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') &&
+      (isSensitiveInput(element) || isIgnoredNode(element));
+  }
+
+  function elementMatchesPrivacyRule(element, kind) {
+    return safeExecute(() => element.matches(getPrivacySelector(kind)), 'elementMatchesPrivacyRule') || false;
+  }
+
+  function serializeBlockedElement(node, serialized) {
+    const rect = node.getBoundingClientRect ? node.getBoundingClientRect() : { width: 0, height: 0 };
+    serialized.attributes = {
+      'data-whys-blocked': '',
+      style: `width:${Math.round(rect.width)}px;height:${Math.round(rect.height)}px;background:#ccc;`
+    };
+    serialized.childNodes = [];
+    serialized.blocked = true;
+    return serialized;
+  }
+
+  // Serialize a node and its subtree. `budget` tracks the approximate byte cost
+  // so a single snapshot/diff never exceeds what one batch can carry; `context`
+  // carries inherited privacy rules so they are evaluated once per element.
+  function serializeDomNode(node, budget, context) {
+    if (budget.nodes >= CONFIG.MAX_SNAPSHOT_NODES || budget.bytes >= budget.maxBytes) {
+      budget.truncated = true;
+      return null;
+    }
+    budget.nodes++;
+
+    if (!context) {
+      const parent = node.parentNode;
+      context = { masked: isMaskedNode(parent), ignored: isIgnoredNode(parent) };
+    }
+
+    const serialized = { id: getDomNodeId(node), type: node.nodeType };
+
+    switch (node.nodeType) {
+      case 9: // Document
+      case 11: // DocumentFragment
+        break;
+      case 10: // DocumentType
+        serialized.name = node.name;
+        budget.bytes += 40;
+        return serialized;
+      case 3: { // Text
+        const parent = node.parentNode;
+        let text = node.textContent || '';
+        if (parent && DOM_SKIPPED_TAGS.includes(parent.tagName)) {
+          text = '';
+        } else if (context.masked || (parent && isMaskedFormElement(parent))) {
+          text = maskText(text);
+        }
+        serialized.text = text;
+        budget.bytes += text.length + 20;
+        return serialized;
+      }
+      case 8: // Comment - content is never needed for replay
+        budget.bytes += 20;
+        return serialized;
+      case 1: { // Element
+        serialized.tagName = node.tagName.toLowerCase();
+        if (elementMatchesPrivacyRule(node, 'block')) {
+          budget.bytes += 80;
+          blockedDomNodes.add(node);
+          return serializeBlockedElement(node, serialized);
+        }
+        blockedDomNodes.delete(node);
+        context = {
+          masked: context.masked || elementMatchesPrivacyRule(node, 'mask'),
+          ignored: context.ignored || elementMatchesPrivacyRule(node, 'ignore')
+        };
+        serialized.attributes = {};
+        const maskedValue = isMaskedFormElement(node);
+        for (let i = 0; i < node.attributes.length; i++) {
+          const attr = node.attributes[i];
+          let value = attr.value;
+          if ((maskedValue && attr.name === 'value') ||
+              (context.masked && MASKED_ATTRIBUTES.includes(attr.name))) {
+            value = maskText(value);
+          }
+          value = sanitizeDomAttribute(attr.name, value);
+          serialized.attributes[attr.name] = value;
+          budget.bytes += attr.name.length + value.length + 6;
+        }
+        if (node.namespaceURI && node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+          serialized.namespace = node.namespaceURI;
+        }
+        budget.bytes += serialized.tagName.length + 30;
+        if (DOM_SKIPPED_TAGS.includes(node.tagName)) {
+          serialized.childNodes = [];
+          return serialized;
+        }
+        break;
+      }
+      default:
+        return null;
+    }
+
+    serialized.childNodes = [];
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      const serializedChild = serializeDomNode(child, budget, context);
+      if (serializedChild) {
+        serialized.childNodes.push(serializedChild);
+      } else if (budget.truncated) {
+        serialized.truncated = true;
+        break;
+      }
+    }
+    return serialized;
+  }
+
+  function createDomBudget() {
+    return {
+      nodes: 0,
+      bytes: 0,
+      // Leave headroom for sessionData and event envelope in the batch payload
+      maxBytes: Math.floor(getMaxPayloadSize() * 0.8),
+      truncated: false
+    };
+  }
+
+  function fitsInPayload(value) {
+    const size = new TextEncoder().encode(JSON.stringify(value)).length;
+    return size <= Math.floor(getMaxPayloadSize() * 0.8);
+  }
+
+  function takeDomSnapshot(reason) {
+    if (!CONFIG.CAPTURE_DOM || recorderDisabled || sessionEnded) return;
+
+    safeExecute(() => {
+      // Any buffered diff is superseded by the full snapshot
+      pendingMutations = [];
+      if (mutationFlushTimer) {
+        clearTimeout(mutationFlushTimer);
+        mutationFlushTimer = null;
+      }
+
+      const budget = createDomBudget();
+      const tree = serializeDomNode(document, budget);
+      const domSnapshot = {
+        reason: reason,
+        node: tree,
+        nodeCount: budget.nodes,
+        truncated: budget.truncated,
+        initialScroll: { x: window.scrollX || 0, y: window.scrollY || 0 },
+        viewportSize: `${window.innerWidth || 0}x${window.innerHeight || 0}`
+      };
+
+      if (!fitsInPayload(domSnapshot)) {
+        log('DOM snapshot exceeds payload limit, skipping:', reason);
+        // Serializing assigned ids the server will never see
+        resetDomNodeIds();
+        captureEvent('dom_snapshot', {
+          domSnapshot: { reason: reason, skipped: 'payload_too_large', nodeCount: budget.nodes }
+        });
+        return;
+      }
+
+      const snapshotEvent = captureEvent('dom_snapshot', { domSnapshot: domSnapshot });
+      if (snapshotEvent) {
+        domSnapshotRef = { tabId: snapshotEvent.tabId, sequence: snapshotEvent.sequence };
+        domSnapshotDelivered = false;
+        domResyncNeeded = false;
+      }
+      log('DOM snapshot captured:', reason, budget.nodes, 'nodes');
+    }, 'takeDomSnapshot');
+  }
+
+  function scheduleMutationFlush() {
+    if (!mutationFlushTimer) {
+      mutationFlushTimer = setTimeout(flushDomMutations, CONFIG.DOM_MUTATION_FLUSH_INTERVAL);
+    }
+  }
+
+  function flushDomMutations() {
+    mutationFlushTimer = null;
+    if (pendingMutations.length === 0 || recorderDisabled || sessionEnded) {
+      pendingMutations = [];
+      return;
+    }
+    if (!domSnapshotDelivered) {
+      // Without a pending snapshot there is nothing to diff against
+      if (!domSnapshotRef) {
+        pendingMutations = [];
+      } else if (pendingMutations.length > DOM_MAX_PENDING_MUTATIONS) {
+        pendingMutations = [];
+        domResyncNeeded = true;
+      }
+      return;
+    }
+
+    safeExecute(() => {
+      const records = pendingMutations;
+      pendingMutations = [];
+
+      const removes = [];
+      const addedNodes = new Set();
+      const attributes = new Map();
+      const texts = new Map();
+
+      records.forEach(record => {
+        if (record.type === 'childList') {
+          record.removedNodes.forEach(node => {
+            const id = domNodeIds.get(node);
+            const parentId = domNodeIds.get(record.target);
+            if (id && parentId) {
+              removes.push({ parentId: parentId, id: id });
+            }
+            addedNodes.delete(node);
+          });
+          record.addedNodes.forEach(node => addedNodes.add(node));
+        } else if (record.type === 'attributes') {
+          const id = domNodeIds.get(record.target);
+          if (!id) return;
+          // An element blocked (or unblocked) at runtime is replaced as a whole,
+          // so the replay swaps its recorded content for the placeholder
+          if (elementMatchesPrivacyRule(record.target, 'block') !== blockedDomNodes.has(record.target)) {
+            const parentId = domNodeIds.get(record.target.parentNode);
+            if (parentId) {
+              removes.push({ parentId: parentId, id: id });
+              addedNodes.add(record.target);
+            }
+            return;
+          }
+          if (isBlockedNode(record.target)) return;
+          let value = record.target.getAttribute(record.attributeName);
+          if (value !== null &&
+              ((record.attributeName === 'value' && isMaskedFormElement(record.target)) ||
+               (MASKED_ATTRIBUTES.includes(record.attributeName) && isMaskedNode(record.target)))) {
+            value = maskText(value);
+          }
+          value = sanitizeDomAttribute(record.attributeName, value);
+          attributes.set(id + ':' + record.attributeName, { id: id, name: record.attributeName, value: value });
+        } else if (record.type === 'characterData') {
+          const id = domNodeIds.get(record.target);
+          if (!id || isBlockedNode(record.target)) return;
+          const parent = record.target.parentNode;
+          let text = record.target.textContent || '';
+          if (isMaskedNode(record.target) || (parent && isMaskedFormElement(parent))) {
+            text = maskText(text);
+          }
+          texts.set(id, { id: id, value: text });
+        }
+      });
+
+      // Only serialize the top-most added nodes that are still attached;
+      // their descendants are included in the serialized subtree.
+      const roots = Array.from(addedNodes).filter(node => {
+        if (!node.isConnected) return false;
+        for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+          if (addedNodes.has(parent)) return false;
+        }
+        // Children of a blocked element are never recorded
+        return domNodeIds.has(node.parentNode) && !isBlockedNode(node.parentNode);
+      });
+      roots.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+
+      const budget = createDomBudget();
+      const adds = [];
+      roots.forEach(node => {
+        let next = node.nextSibling;
+        while (next && (addedNodes.has(next) || !domNodeIds.has(next))) {
+          next = next.nextSibling;
+        }
+        const serialized = serializeDomNode(node, budget);
+        if (serialized) {
+          adds.push({
+            parentId: domNodeIds.get(node.parentNode),
+            nextId: next ? domNodeIds.get(next) : null,
+            node: serialized
+          });
+        }
+      });
+
+      if (adds.length === 0 && removes.length === 0 && attributes.size === 0 && texts.size === 0) {
+        return;
+      }
+
+      const domMutations = {
+        removes: removes,
+        adds: adds,
+        attributes: Array.from(attributes.values()),
+        texts: Array.from(texts.values())
+      };
+
+      // A diff that cannot be shipped intact is replaced by a fresh snapshot
+      if (budget.truncated || !fitsInPayload(domMutations)) {
+        log('DOM mutation batch too large, resyncing with full snapshot');
+        takeDomSnapshot('resync');
+        return;
+      }
+
+      captureEvent('dom_mutation', { domMutations: domMutations });
+    }, 'flushDomMutations');
+  }
+
+  function startDomRecording() {
+    if (!CONFIG.CAPTURE_DOM || recorderDisabled || typeof MutationObserver === 'undefined') return;
+
+    safeExecute(() => {
+      takeDomSnapshot('session_start');
+
+      if (domObserver) return;
+      domObserver = new MutationObserver(mutations => {
+        if (recorderDisabled || sessionEnded) return;
+        // Any change also answers clicks waiting to be judged dead
+        noteResponsiveActivity();
+        pendingMutations.push(...mutations);
+        scheduleMutationFlush();
+      });
+      domObserver.observe(document, {
+        childList: true,
+        attributes: true,
+        characterData: true,
+        subtree: true
+      });
+    }, 'startDomRecording');
+  }
+
+  function stopDomRecording() {
+    safeExecute(() => {
+      if (domObserver) {
+        domObserver.disconnect();
+        domObserver = null;
+      }
+      if (mutationFlushTimer) {
+        clearTimeout(mutationFlushTimer);
+        mutationFlushTimer = null;
+      }
+      pendingMutations = [];
+    }, 'stopDomRecording');
+  }
+
+  // ============================================================================
+  // FORM ANALYTICS
+  // ============================================================================
+  // Field values are never read beyond "empty or not". Sensitive fields
+  // (isSensitiveInput) are reported as bare focus/blur interactions only.
+
+  const FORM_FIELD_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+  const FORM_IGNORED_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+  let formTrackingInitialized = false;
+  const formStates = new Map();     // form element (or null for formless fields) -> state
+  const fieldStates = new WeakMap(); // field element -> focus/correction state
+  const pendingInvalidForms = new Set();
+  let submitAttemptForm = null;     // form the user is submitting in the current task
+
+  function isTrackedFormField(element) {
+    if (!element || !FORM_FIELD_TAGS.includes(element.tagName)) return false;
+    if (element.tagName === 'INPUT' && FORM_IGNORED_INPUT_TYPES.includes((element.type || '').toLowerCase())) return false;
+    return !isBlockedNode(element) && !isIgnoredNode(element);
+  }
+
+  function getFormState(form) {
+    let state = formStates.get(form);
+    if (!state) {
+      pruneDetachedForms();
+      state = { startedAt: null, interactedFields: new Set(), lastField: null, submitted: false };
+      formStates.set(form, state);
+    }
+    return state;
+  }
+
+  // SPAs remove forms without navigating; don't keep them (or their fields) alive
+  function pruneDetachedForms() {
+    formStates.forEach((state, form) => {
+      if (!form || form.isConnected) return;
+      captureFormAbandoned(form, state, 'form_removed');
+      formStates.delete(form);
+    });
+  }
+
+  function describeFormField(field) {
+    const form = field.form || null;
+    return {
+      formSelector: form ? getElementSelector(form) : null,
+      fieldSelector: getElementSelector(field),
+      fieldLabel: getRecordedFieldLabel(field),
+      fieldType: field.type || field.tagName.toLowerCase(),
+      sensitive: isSensitiveInput(field)
+    };
+  }
+
+  function handleFieldFocus(e) {
+    const field = e.target;
+    if (!isTrackedFormField(field)) return;
+
+    safeExecute(() => {
+      fieldStates.set(field, {
+        focusedAt: Date.now(),
+        corrections: 0,
+        hadValue: !!(field.value && field.value.length > 0)
+      });
+      captureEvent('form_focus', { formData: describeFormField(field) });
+    }, 'form_focus_handler');
+  }
+
+  function handleFieldBlur(e) {
+    const field = e.target;
+    if (!isTrackedFormField(field)) return;
+
+    safeExecute(() => {
+      const state = fieldStates.get(field);
+      if (!state) return;
+      fieldStates.delete(field);
+
+      const formData = describeFormField(field);
+      formData.timeInField = Date.now() - state.focusedAt;
+      if (!formData.sensitive) {
+        formData.corrections = state.corrections;
+        formData.filled = !!(field.value && field.value.length > 0);
+      }
+      captureEvent('form_blur', { formData: formData });
+    }, 'form_blur_handler');
+  }
+
+  function handleFieldKeydown(e) {
+    if (e.key !== 'Backspace' && e.key !== 'Delete') return;
+    const state = fieldStates.get(e.target);
+    if (state) state.corrections++;
+  }
+
+  function handleFieldInput(e) {
+    const field = e.target;
+    if (!isTrackedFormField(field)) return;
+
+    safeExecute(() => {
+      const formState = getFormState(field.form || null);
+      if (!formState.startedAt) formState.startedAt = Date.now();
+      formState.interactedFields.add(getElementSelector(field));
+      formState.lastField = field;
+
+      // Clearing a field that had content counts as a correction
+      const state = fieldStates.get(field);
+      if (state) {
+        const hasValue = !!(field.value && field.value.length > 0);
+        if (state.hadValue && !hasValue) state.corrections++;
+        state.hadValue = hasValue;
+      }
+    }, 'form_input_handler');
+  }
+
+  function countInvalidFields(form) {
+    let count = 0;
+    Array.from(form.elements || []).forEach(field => {
+      if ((field.validity && !field.validity.valid) || field.getAttribute('aria-invalid') === 'true') {
+        count++;
+      }
+    });
+    return count;
+  }
+
+  function captureFormSubmit(form, outcome, details = {}) {
+    const state = getFormState(form);
+    captureEvent('form_submit', {
+      elementSelector: getElementSelector(form),
+      formData: {
+        formSelector: getElementSelector(form),
+        outcome: outcome,
+        fieldsInteracted: state.interactedFields.size,
+        timeToSubmit: state.startedAt ? Date.now() - state.startedAt : null,
+        ...details
+      }
+    });
+  }
+
+  function handleFormSubmit(e) {
+    const form = e.target;
+    if (!form || form.tagName !== 'FORM' || isBlockedNode(form)) return;
+
+    safeExecute(() => {
+      getFormState(form).submitted = true;
+
+      // Handlers run after this capture listener; check what they decided
+      setTimeout(() => {
+        safeExecute(() => {
+          if (!e.defaultPrevented) {
+            captureFormSubmit(form, 'success', { handledByScript: false });
+            return;
+          }
+          // Script-handled submit: give app-level validation time to mark fields
+          setTimeout(() => {
+            safeExecute(() => {
+              const invalidCount = countInvalidFields(form);
+              if (invalidCount > 0) getFormState(form).submitted = false;
+              captureFormSubmit(form, invalidCount > 0 ? 'validation_failed' : 'success', {
+                handledByScript: true,
+                invalidFieldCount: invalidCount
+              });
+            }, 'form_submit_validation_check');
+          }, CONFIG.FORM_VALIDATION_CHECK_DELAY);
+        }, 'form_submit_outcome');
+      }, 0);
+    }, 'form_submit_handler');
+  }
+
+  // Submit buttons and Enter in a field validate the form as their default
+  // action, in the same task as this listener. Remember the form until then so
+  // `invalid` events from script calls to checkValidity() are not mistaken for
+  // a submit attempt.
+  function handleSubmitAttempt(e) {
+    const target = e.target;
+    let form = null;
+    if (e.type === 'click') {
+      const button = target && target.closest ? target.closest('button, input') : null;
+      if (button && (button.type === 'submit' || button.type === 'image')) form = button.form;
+    } else if (e.key === 'Enter' && target && target.tagName === 'INPUT') {
+      form = target.form;
+    }
+    if (!form) return;
+
+    submitAttemptForm = form;
+    setTimeout(() => {
+      if (submitAttemptForm === form) submitAttemptForm = null;
+    }, 0);
+  }
+
+  // Browser constraint validation blocks the submit event entirely, so failed
+  // attempts are reconstructed from the burst of `invalid` events instead.
+  function handleFieldInvalid(e) {
+    const field = e.target;
+    if (!isTrackedFormField(field) || !field.form || field.form !== submitAttemptForm) return;
+
+    safeExecute(() => {
+      const formData = describeFormField(field);
+      const validity = field.validity || {};
+      formData.validity = Object.keys({
+        valueMissing: 0, typeMismatch: 0, patternMismatch: 0, tooLong: 0, tooShort: 0,
+        rangeUnderflow: 0, rangeOverflow: 0, stepMismatch: 0, badInput: 0, customError: 0
+      }).filter(flag => validity[flag]);
+      captureEvent('form_invalid', { elementSelector: formData.fieldSelector, formData: formData });
+
+      const form = field.form;
+      if (form && !pendingInvalidForms.has(form)) {
+        pendingInvalidForms.add(form);
+        setTimeout(() => {
+          pendingInvalidForms.delete(form);
+          safeExecute(() => {
+            captureFormSubmit(form, 'validation_failed', {
+              handledByScript: false,
+              invalidFieldCount: countInvalidFields(form)
+            });
+          }, 'form_invalid_outcome');
+        }, 0);
+      }
+    }, 'form_invalid_handler');
+  }
+
+  // Emits form_abandoned for every form the user started but did not submit
+  function flushAbandonedForms(reason) {
+    if (!CONFIG.CAPTURE_FORMS || recorderDisabled) return;
+
+    safeExecute(() => {
+      formStates.forEach((state, form) => captureFormAbandoned(form, state, reason));
+      formStates.clear();
+    }, 'flushAbandonedForms');
+  }
+
+  function captureFormAbandoned(form, state, reason) {
+    if (!state.startedAt || state.submitted) return;
+    const lastField = state.lastField;
+    captureEvent('form_abandoned', {
+      elementSelector: form ? getElementSelector(form) : null,
+      formData: {
+        formSelector: form ? getElementSelector(form) : null,
+        reason: reason,
+        fieldsInteracted: state.interactedFields.size,
+        fieldsTotal: form && form.elements ? Array.from(form.elements).filter(isTrackedFormField).length : null,
+        lastFieldSelector: lastField ? getElementSelector(lastField) : null,
+        lastFieldLabel: lastField ? getRecordedFieldLabel(lastField) : null,
+        timeSpent: Date.now() - state.startedAt
+      }
+    });
+  }
+
+  function setupFormTracking() {
+    if (!CONFIG.CAPTURE_FORMS || recorderDisabled || formTrackingInitialized) return;
+
+    safeExecute(() => {
+      addSharedListener(document, 'focusin', handleFieldFocus, true);
+      addSharedListener(document, 'focusout', handleFieldBlur, true);
+      addSharedListener(document, 'keydown', handleFieldKeydown, true);
+      addSharedListener(document, 'input', handleFieldInput, true);
+      addSharedListener(document, 'submit', handleFormSubmit, true);
+      addSharedListener(document, 'click', handleSubmitAttempt, true);
+      addSharedListener(document, 'keydown', handleSubmitAttempt, true);
+      addSharedListener(document, 'invalid', handleFieldInvalid, true);
+      formTrackingInitialized = true;
+      log('Form analytics enabled');
+    }, 'setupFormTracking');
+  }
+
+  function teardownFormTracking() {
+    safeExecute(() => {
+      removeSharedListener(document, 'focusin', handleFieldFocus, true);
+      removeSharedListener(document, 'focusout', handleFieldBlur, true);
+      removeSharedListener(document, 'keydown', handleFieldKeydown, true);
+      removeSharedListener(document, 'input', handleFieldInput, true);
+      removeSharedListener(document, 'submit', handleFormSubmit, true);
+      removeSharedListener(document, 'click', handleSubmitAttempt, true);
+      removeSharedListener(document, 'keydown', handleSubmitAttempt, true);
+      removeSharedListener(document, 'invalid', handleFieldInvalid, true);
+      submitAttemptForm = null;
+      formTrackingInitialized = false;
+    }, 'teardownFormTracking');
+  }
+
+  // Listener state lives per instance so listeners can be detached again
+  let eventListenersInitialized = false;
+  let currentUrl = window.location.href;
+  let scrollTimeout = null;
+
+  // Click events with safe handling
+  function handleClick(e) {
+    safeExecute(() => {
+      if (isBlockedNode(e.target)) return;
+      const selector = getElementSelector(e.target);
+      captureEvent('click', {
+        elementSelector: selector,
+        elementText: getElementText(e.target),
+        elementTag: e.target && e.target.tagName ? e.target.tagName.toLowerCase() : 'unknown',
+        clickCoordinates: { x: e.clientX || 0, y: e.clientY || 0 }
+      });
+      trackClickForFrustration(e, selector);
+    }, 'click_handler');
+  }
+
+  // Scroll events (throttled) with safe handling
+  function handleScroll(e) {
+    clearTimeout(scrollTimeout);
+    if (e.target && e.target.nodeType === 1 && isBlockedNode(e.target)) return;
+    scrollTimeout = setTimeout(() => {
+      safeExecute(() => {
+        captureEvent('scroll', {
+          scrollPosition: { x: window.scrollX || 0, y: window.scrollY || 0 }
+        });
+      }, 'scroll_handler');
+    }, 100);
+  }
+
+  // Input events with privacy protection
+  function handleInput(e) {
+    safeExecute(() => {
+      const element = e.target;
+      
+      // Skip sensitive, blocked and ignored inputs entirely
+      if (isSensitiveInput(element) || isBlockedNode(element) || isIgnoredNode(element)) {
+        return;
+      }
+
+      captureEvent('input', {
+        elementSelector: getElementSelector(element),
+        elementText: getRecordedFieldLabel(element),
+        elementTag: element && element.tagName ? element.tagName.toLowerCase() : 'unknown',
+        inputValue: element.value && element.value.length > 0 ? '[REDACTED]' : '', // Still redact for extra safety
+        inputType: element.type || 'unknown'
+      });
+    }, 'input_handler');
+  }
+
+  // Page navigation with safe URL handling
+  function checkUrlChange() {
+    safeExecute(() => {
+      const newUrl = window.location.href;
+      if (newUrl !== currentUrl) {
+        const previousUrl = currentUrl;
+        currentUrl = newUrl;
+        
+        noteResponsiveActivity();
+        startSoftPageView();
+        flushAbandonedForms('navigation');
+        
+        captureEvent('navigation', {
+          navigationData: {
+            from: sanitizeUrl(previousUrl),
+            to: sanitizeUrl(newUrl),
+            type: 'spa'
+          }
+        });
+        
+        updateSessionUrl();
+        takeDomSnapshot('navigation');
+      }
+    }, 'url_change_check');
+  }
+
+  // beforeunload isn't used: a listener makes Firefox keep pages out of the
+  // bfcache. pagehide covers both outcomes, and freeze covers discarded tabs.
+  function handlePageHide(event) {
+    safeExecute(() => {
+      // persisted: the page goes into the bfcache and may come back
+      if (event && event.persisted) {
+        suspendPage('page_hide');
+      } else if (!sessionEnded) {
+        endSession('page_hide', {}, { localOnly: hasOtherLiveTabs() });
+      }
+    }, 'pagehide_handler');
+  }
+
+  // ============================================================================
+  // PAGE LIFECYCLE (bfcache, freeze/resume)
+  // ============================================================================
+  // A page in the back/forward cache or frozen in the background runs no
+  // timers, so everything is flushed when it is suspended. On return the
+  // session resumes if it would still be alive, otherwise a new one starts;
+  // either way a page_restored event marks the gap in the replay.
+
+  let pageSuspended = false;
+  let pageSuspendedAt = 0;
+
+  function suspendPage(trigger) {
+    if (pageSuspended || recorderDisabled || !isInitialized) return;
+
+    safeExecute(() => {
+      pageSuspended = true;
+      pageSuspendedAt = Date.now();
+      log('Page suspended:', trigger);
+
+      if (consoleLogQueue.length > 0) {
+        flushConsoleLogs();
+      }
+      flushDomMutations();
+      if (eventQueue.length > 0) {
+        sendBatch(true);
+      }
+      persistRetryQueue();
+
+      [inactivityTimer, visibilityTimer, batchTimer].forEach(timer => {
+        if (timer) clearTimeout(timer);
+      });
+      inactivityTimer = null;
+      visibilityTimer = null;
+      batchTimer = null;
+      clearSessionRolloverTimer();
+
+      // Open channels and sockets keep browsers from caching the page
+      teardownCrossTabSync();
+      closeTransportSocket();
+    }, 'suspendPage');
+  }
+
+  // Another tab may have kept the shared session alive while we were away
+  function isSuspendedSessionExpired() {
+    const storedSessionId = getStoredId(`whys_session_${projectId}`);
+    if (storedSessionId && storedSessionId !== sessionId) return true;
+
+    const storedAt = storedSessionId ? parseInt(getStoredId(`whys_session_timestamp_${projectId}`)) || 0 : 0;
+    return Date.now() - Math.max(storedAt, lastActivityTime) >= CONFIG.INACTIVITY_TIMEOUT ||
+      isPastSessionDeadline(sessionStartedAt);
+  }
+
+  function resumeSuspendedPage(trigger) {
+    if (!pageSuspended || recorderDisabled) return;
+
+    safeExecute(() => {
+      pageSuspended = false;
+      const suspendedDuration = Date.now() - pageSuspendedAt;
+      const previousSessionId = sessionId;
+      log('Page resumed:', trigger, 'after', suspendedDuration, 'ms');
+
+      if (!sessionEnded && isSuspendedSessionExpired()) {
+        // If another tab moved on to a new session, ours was already ended there
+        const storedSessionId = getStoredId(`whys_session_${projectId}`);
+        endSession('inactivity_timeout', {
+          inactive_duration: Date.now() - lastActivityTime
+        }, { localOnly: !!storedSessionId && storedSessionId !== sessionId });
+      }
+
+      if (sessionEnded) {
+        resumeSessionAfterTimeout('page_restored');
+      } else {
+        setupCrossTabSync();
+        scheduleSessionRollover();
+        updateActivity();
+      }
+
+      captureEvent('page_restored', {
+        metadata: {
+          trigger: trigger,
+          suspendedDuration: suspendedDuration,
+          sessionResumed: !sessionEnded && sessionId === previousSessionId
+        }
+      });
+    }, 'resumeSuspendedPage');
+  }
+
+  function handlePageShow(event) {
+    if (event && event.persisted) {
+      resumeSuspendedPage('bfcache');
+    }
+  }
+
+  function handleFreeze() {
+    suspendPage('freeze');
+  }
+
+  function handleResume() {
+    resumeSuspendedPage('resume');
+  }
+
+  function setupEventListeners() {
+    if (recorderDisabled || eventListenersInitialized) return;
+    
+    safeExecute(() => {
+      addSharedListener(document, 'click', handleClick, true);
+      addSharedListener(document, 'scroll', handleScroll, true);
+      addSharedListener(document, 'input', handleInput, true);
+
+      // Monitor for SPA navigation
+      currentUrl = window.location.href;
+      addSharedListener(window, 'popstate', checkUrlChange);
+      subscribeHistoryChanges(checkUrlChange);
+
+      // Page lifecycle events
+      addSharedListener(document, 'visibilitychange', handleVisibilityChange);
+      addSharedListener(window, 'pagehide', handlePageHide);
+      addSharedListener(window, 'pageshow', handlePageShow);
+      addSharedListener(document, 'freeze', handleFreeze);
+      addSharedListener(document, 'resume', handleResume);
+
+      activityListenerTypes = CONFIG.ACTIVITY_EVENTS.slice();
+      activityListenerTypes.forEach(type => {
+        addSharedListener(document, type, handleActivitySignal, { capture: true, passive: true });
+      });
+
+      eventListenersInitialized = true;
+    }, 'setupEventListeners');
+  }
+
+  function teardownEventListeners() {
+    if (!eventListenersInitialized) return;
+
+    safeExecute(() => {
+      removeSharedListener(document, 'click', handleClick, true);
+      removeSharedListener(document, 'scroll', handleScroll, true);
+      removeSharedListener(document, 'input', handleInput, true);
+      removeSharedListener(window, 'popstate', checkUrlChange);
+      removeSharedListener(document, 'visibilitychange', handleVisibilityChange);
+      removeSharedListener(window, 'pagehide', handlePageHide);
+      removeSharedListener(window, 'pageshow', handlePageShow);
+      removeSharedListener(document, 'freeze', handleFreeze);
+      removeSharedListener(document, 'resume', handleResume);
+      activityListenerTypes.forEach(type => {
+        removeSharedListener(document, type, handleActivitySignal, { capture: true });
+      });
+      activityListenerTypes = [];
+      unsubscribeHistoryChanges(checkUrlChange);
+      clearTimeout(scrollTimeout);
+
+      eventListenersInitialized = false;
+    }, 'teardownEventListeners');
+  }
+
+  function updateSessionUrl() {
+    if (recorderDisabled) return;
+    safeExecute(() => {
+      if (sessionData) {
+        sessionData.pageUrl = getSanitizedPageUrl();
+      }
+    }, 'updateSessionUrl');
+  }
+
+  function sendBatch(useBeacon = false) {
+    if ((eventQueue.length === 0 && (!useBeacon || forwardedEvents.size === 0)) || recorderDisabled) return;
+    // Keep buffering until consent is granted
+    if (!canSendData()) return;
+    
+    return safeExecute(() => {
+      // Validate session data
+      if (!sessionData || !sessionData.projectId || !sessionData.sessionId) {
+        log('Invalid session data, skipping batch send:', sessionData);
+        return;
+      }
+
+      if (!sessionData.visitorId || !sessionData.globalVisitorId) {
+        log('Missing visitor IDs, skipping batch send');
+        return;
+      }
+
+      // Validate UUIDs
+      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+      if (!uuidRegex.test(sessionData.sessionId) || 
+          !uuidRegex.test(sessionData.visitorId) || 
+          !uuidRegex.test(sessionData.globalVisitorId)) {
+        
+        // Regenerate invalid IDs
+        if (!uuidRegex.test(sessionData.sessionId)) {
+          sessionData.sessionId = generateUUID();
+          sessionId = sessionData.sessionId;
+        }
+        if (!uuidRegex.test(sessionData.visitorId)) {
+          sessionData.visitorId = generateUUID();
+          visitorId = sessionData.visitorId;
+        }
+        if (!uuidRegex.test(sessionData.globalVisitorId)) {
+          sessionData.globalVisitorId = generateUUID();
+          globalVisitorId = sessionData.globalVisitorId;
         }
-        parent = parent.parentElement;
-        depth++;
       }
+
+      // Unload can't wait for the leader's ack, so pending hand-offs go out too
+      const events = useBeacon ? takeUnacknowledgedEvents().concat(eventQueue) : eventQueue;
+      eventQueue = [];
+      persistEventSequence();
+      // Unload can't wait for the leader, so beacons always go out directly
+      if (!useBeacon && forwardEventsToLeader(events)) return;
+      // Parts of a split batch are encoded later, maybe after a reset replaced sessionData
+      sendEvents(events, useBeacon, { batchId: generateUUID(), sessionData: sessionData });
       
-      // 3. Check for placeholder attribute
-      if (element.placeholder && element.placeholder.trim()) {
-        return element.placeholder.trim().substring(0, 100);
+      if (batchTimer) {
+        clearTimeout(batchTimer);
+        batchTimer = null;
       }
-      
-      // 4. Check for aria-label attribute
-      const ariaLabel = element.getAttribute('aria-label');
-      if (ariaLabel && ariaLabel.trim()) {
-        return ariaLabel.trim().substring(0, 100);
+    }, 'sendBatch');
+  }
+
+  // Size checks apply to the bytes actually sent (compressed when possible);
+  // oversized batches are split in half until they fit.
+  // Batch metadata lets the ingest side dedupe (idempotencyKey, derived from the
+  // events' sequence range so any resend of the same events matches) and reorder
+  // (sequence numbers). Parts are numbered once the split is final, and partCount
+  // tells the ingest side when it has all of them.
+  function createBatchPayload(events, batch, partIndex = 0, partCount = 1) {
+    const sequences = events.map(event => event.sequence).filter(Number.isInteger);
+    const firstSequence = sequences.length > 0 ? Math.min(...sequences) : null;
+    const lastSequence = sequences.length > 0 ? Math.max(...sequences) : null;
+
+    // Sequences are only unique per tab, and a leader batch mixes tabs
+    const tabRanges = new Map();
+    events.forEach(event => {
+      if (!Number.isInteger(event.sequence)) return;
+      const range = tabRanges.get(event.tabId);
+      if (range) {
+        range.first = Math.min(range.first, event.sequence);
+        range.last = Math.max(range.last, event.sequence);
+      } else {
+        tabRanges.set(event.tabId, { first: event.sequence, last: event.sequence });
       }
-      
-      // 5. Check for aria-labelledby
-      const ariaLabelledBy = element.getAttribute('aria-labelledby');
-      if (ariaLabelledBy) {
-        const labelElement = document.getElementById(ariaLabelledBy);
-        if (labelElement && labelElement.textContent) {
-          const labelText = labelElement.textContent.trim();
-          if (labelText) {
-            return labelText.substring(0, 100);
-          }
-        }
+    });
+    const rangeKey = Array.from(tabRanges.entries())
+      .map(([eventTabId, range]) => `${eventTabId}:${range.first}-${range.last}`)
+      .sort()
+      .join(',');
+
+    return {
+      sessionData: batch.sessionData || sessionData,
+      batch: {
+        batchId: batch.batchId,
+        partIndex: partIndex,
+        partCount: partCount,
+        idempotencyKey: `${(batch.sessionData || sessionData).sessionId}:${rangeKey}`,
+        firstSequence: firstSequence,
+        lastSequence: lastSequence
+      },
+      events: events
+    };
+  }
+
+  function getBatchHeaders(payload, encoding) {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+    if (encoding) {
+      headers['Content-Encoding'] = encoding;
+    }
+    if (payload && payload.batch) {
+      headers['Idempotency-Key'] = payload.batch.idempotencyKey;
+    }
+    return headers;
+  }
+
+  // Resolves to the parts ({ events, payload, encoded }) that each fit
+  // getMaxPayloadSize(). Sizes are measured as a single part; a split batch is
+  // re-encoded once its part numbers are known.
+  function splitIntoParts(events, batch) {
+    const payload = createBatchPayload(events, batch);
+    return encodePayload(JSON.stringify(payload)).then(encoded => safeExecute(() => {
+      if (encoded.size <= getMaxPayloadSize()) {
+        return [{ events: events, payload: payload, encoded: encoded }];
       }
-      
-      // 6. Check for nearby text elements (previous sibling)
-      const prevSibling = element.previousElementSibling;
-      if (prevSibling && prevSibling.textContent) {
-        const siblingText = prevSibling.textContent.trim();
-        // Only use if it's short enough to be a label (not paragraph text)
-        if (siblingText && siblingText.length < 50) {
-          return siblingText.substring(0, 100);
-        }
+      if (events.length === 1) {
+        log('Single event exceeds max payload size, dropping:', events[0].eventType, encoded.size);
+        handleDroppedEvents(events);
+        return [];
       }
-      
-      // 7. Check for name attribute as last resort
-      if (element.name && element.name.trim()) {
-        // Convert name to readable format (e.g., "firstName" -> "First Name")
-        const nameText = element.name
-          .replace(/([A-Z])/g, ' $1') // Add space before capitals
-          .replace(/[_-]/g, ' ') // Replace underscores and hyphens with spaces
-          .trim()
-          .replace(/\b\w/g, l => l.toUpperCase()); // Capitalize first letters
-        
-        if (nameText && nameText !== element.name) {
-          return nameText.substring(0, 100);
-        }
+      log('Payload too large, splitting batch');
+      const halfSize = Math.floor(events.length / 2);
+      return Promise.all([
+        splitIntoParts(events.slice(0, halfSize), batch),
+        splitIntoParts(events.slice(halfSize), batch)
+      ]).then(halves => halves[0].concat(halves[1]));
+    }, 'sendEvents') || []);
+  }
+
+  function sendEvents(events, useBeacon, batch) {
+    if (events.length === 0) return;
+    if (useBeacon) {
+      sendUnloadEvents(events, batch);
+      return;
+    }
+
+    splitIntoParts(events, batch).then(parts => safeExecute(() => {
+      if (parts.length === 1) {
+        sendBatchData(parts[0].payload, false, parts[0].encoded);
+        return;
       }
-      
-      return null;
-    }, 'getFieldLabel') || null;
+      parts.forEach((part, index) => {
+        const payload = createBatchPayload(part.events, batch, index, parts.length);
+        encodePayload(JSON.stringify(payload)).then(encoded => safeExecute(() => {
+          sendBatchData(payload, false, encoded);
+        }, 'sendEvents'));
+      });
+    }, 'sendEvents'));
   }
 
-  function getDeviceInfo() {
-    return safeExecute(() => {
-      return {
-        userAgent: navigator.userAgent || 'unknown',
-        language: navigator.language || 'unknown',
-        platform: navigator.platform || 'unknown',
-        cookieEnabled: navigator.cookieEnabled || false,
-        onLine: navigator.onLine || true,
-        screenResolution: `${screen.width || 0}x${screen.height || 0}`,
-        viewportSize: `${window.innerWidth || 0}x${window.innerHeight || 0}`,
-        timezone: (() => {
-          try {
-            return Intl.DateTimeFormat().resolvedOptions().timeZone;
-          } catch (e) {
-            return 'unknown';
-          }
-        })()
-      };
-    }, 'getDeviceInfo') || {};
+  // Lower goes first when the unload budget runs out
+  function getUnloadPriority(event) {
+    if (event.eventType === 'session_end') return 0;
+    if (event.eventType === 'js_error' || event.eventType === 'error_click') return 1;
+    return 2;
   }
 
-  function updateActivity() {
-    if (recorderDisabled) return;
-    safeExecute(() => {
-      lastActivityTime = Date.now();
-      healthMetrics.lastEventTime = Date.now(); // Phase 1: For adaptive health reporting
-      startInactivityTimer();
-    }, 'updateActivity');
+  // Unload delivery: the ~64KB beacon/keepalive quota is shared by every
+  // request still in flight, so all unload sends within UNLOAD_QUOTA_WINDOW
+  // draw from one BEACON_MAX_BYTES budget. Events go in with session_end and
+  // errors first; whatever doesn't fit is persisted for the next load. There
+  // is no time to wait for compression here, so the body is plain JSON.
+  const UNLOAD_QUOTA_WINDOW = 10000;
+  let unloadBytesUsed = 0;
+  let unloadQuotaTimer = null;
+
+  function reserveUnloadBytes(bytes) {
+    unloadBytesUsed += bytes;
+    if (!unloadQuotaTimer) {
+      // Only reached when the page survived, e.g. a tab that was merely hidden
+      unloadQuotaTimer = setTimeout(() => {
+        unloadQuotaTimer = null;
+        unloadBytesUsed = 0;
+      }, UNLOAD_QUOTA_WINDOW);
+    }
   }
 
-  function startInactivityTimer() {
-    if (recorderDisabled) return;
+  function sendUnloadEvents(events, batch) {
     safeExecute(() => {
-      if (inactivityTimer) {
-        clearTimeout(inactivityTimer);
-      }
-      
-      inactivityTimer = setTimeout(() => {
-        if (!sessionEnded) {
-          endSession('inactivity_timeout', {
-            inactive_duration: CONFIG.INACTIVITY_TIMEOUT
-          });
+      const encoder = new TextEncoder();
+      // + room for the batch metadata added by createBatchPayload
+      const baseSize = encoder.encode(JSON.stringify({ sessionData: sessionData, events: [] })).length + 256;
+      const available = CONFIG.BEACON_MAX_BYTES - unloadBytesUsed;
+      const prioritized = events
+        .map((event, index) => ({ event: event, index: index, priority: getUnloadPriority(event) }))
+        .sort((a, b) => a.priority - b.priority || a.index - b.index);
+
+      const included = [];
+      const deferred = [];
+      let size = baseSize;
+
+      prioritized.forEach(entry => {
+        const eventSize = encoder.encode(JSON.stringify(entry.event)).length + 1; // + separating comma
+        if (size + eventSize <= available) {
+          included.push(entry.event);
+          size += eventSize;
+        } else {
+          deferred.push(entry);
         }
-      }, CONFIG.INACTIVITY_TIMEOUT);
-    }, 'startInactivityTimer');
+      });
+
+      if (deferred.length > 0) {
+        // Out of quota: retry on the next load, in capture order
+        const deferredEvents = deferred.sort((a, b) => a.index - b.index).map(entry => entry.event);
+        log('Unload quota exhausted, persisting', deferredEvents.length, 'events');
+        const deferredIndex = included.length > 0 ? 1 : 0;
+        persistFailedBatch(createBatchPayload(deferredEvents, batch, deferredIndex, deferredIndex + 1),
+          encoder.encode(JSON.stringify(deferredEvents)).length + baseSize);
+      }
+      if (included.length === 0) return;
+
+      reserveUnloadBytes(size);
+      const rejectionsBefore = healthMetrics.beaconRejections;
+      sendBatchData(createBatchPayload(included, batch, 0, deferred.length > 0 ? 2 : 1), true);
+      if (healthMetrics.beaconRejections > rejectionsBefore) {
+        // The periodic health report would never run after unload
+        sendHealthEvent('beacon_rejected', {
+          beaconRejections: healthMetrics.beaconRejections,
+          payloadSize: size,
+          eventsCount: included.length
+        }, { unload: true });
+      }
+    }, 'sendUnloadEvents');
   }
 
-  function endSession(reason, additionalData = {}) {
-    if (sessionEnded || recorderDisabled) return;
+  function sendBatchData(payload, useBeacon = false, encoded = null) {
+    if (recorderDisabled) return;
     
-    safeExecute(() => {
-      sessionEnded = true;
-      log('Ending session:', reason, additionalData);
-      
-      // Calculate session duration safely with robust fallbacks
-      const currentTime = Date.now();
-      const sessionStartTime = sessionData?.startTime || healthMetrics.startTime;
-      const rawDuration = currentTime - sessionStartTime;
+    const url = CONFIG.API_ENDPOINT;
+    const { body, encoding, size, rawSize } = encoded || plainEncodedPayload(JSON.stringify(payload));
+
+    log('Sending batch data:', {
+      url: url,
+      payloadSize: size,
+      encoding: encoding,
+      eventsCount: payload.events?.length || 0,
+      useBeacon: useBeacon
+    });
+
+    if (isBrowserOffline()) {
+      // Don't burn through the network error budget while offline
+      persistFailedBatch(payload, rawSize);
+      return;
+    }
+
+    if (useBeacon && canUseBeaconOnUnload() && navigator.sendBeacon) {
+      // Use beacon for page unload; browsers refuse beacons over their quota
+      const sent = safeExecute(() => {
+        const sent = sendBeaconRequest({ url: url, body: body });
+        log('Batch sent via beacon:', sent, payload.events.length, 'events');
+        return sent;
+      }, 'beacon_send');
+      if (sent) {
+        // Queued by the browser is as delivered as a beacon gets
+        handleDeliveredEvents(payload.events);
+        return;
+      }
       
-      // If duration is negative or unreasonable (>24 hours), use health metrics start time
-      let finalDuration;
-      if (rawDuration < 0 || rawDuration > 24 * 60 * 60 * 1000) {
-        const healthDuration = currentTime - healthMetrics.startTime;
-        finalDuration = Math.max(0, healthDuration);
-        
-        if (CONFIG.DEBUG) {
-          console.warn('[WhysRecorder] Invalid session duration, using health metrics fallback:', {
-            originalDuration: rawDuration,
-            fallbackDuration: finalDuration,
-            sessionStart: sessionStartTime ? new Date(sessionStartTime).toISOString() : 'undefined',
-            healthStart: new Date(healthMetrics.startTime).toISOString(),
-            sessionDataExists: !!sessionData,
-            sessionDataStartTime: sessionData?.startTime
-          });
-        }
+      healthMetrics.beaconRejections++;
+      log('Beacon rejected, falling back to the configured transport');
+    }
+    
+    deliverBatch({ payload: payload, body: body, encoding: encoding, rawSize: rawSize, attempts: 0, unload: useBeacon });
+  }
+
+  // Use fetch with timeout and error handling (unload batches use keepalive)
+  function deliverBatch(batch) {
+    if (isRateLimited()) {
+      // Don't add to the pressure while the server asked us to back off. The
+      // in-memory retry queue dies with the page, so unload batches go to disk.
+      if (batch.unload) {
+        persistFailedBatch(batch.payload, batch.rawSize);
       } else {
-        finalDuration = rawDuration;
+        queueBatchForRetry(batch);
+      }
+      return;
+    }
+
+    let delivered = false;
+    const sentAt = monotonicNow();
+    safeFetch(CONFIG.API_ENDPOINT, {
+      method: 'POST',
+      headers: getBatchHeaders(batch.payload, batch.encoding),
+      body: batch.body,
+      encoding: batch.encoding,
+      unload: !!batch.unload
+    })
+    .then(response => {
+      if (response) {
+        delivered = true;
+        handleDeliveredEvents(batch.payload.events);
+        recordClockOffset(response.headers, sentAt, monotonicNow());
+        resetRetryBackoff();
+        // Delivery works again, so earlier failures can go out too
+        processRetryQueue();
+        flushOfflineQueue();
+        return typeof response.json === 'function' ? response.json() : null;
+      }
+    })
+    .then(result => {
+      if (result && CONFIG.DEBUG) {
+        log('Batch sent successfully:', result);
+      }
+    })
+    .catch(error => {
+      // Error already handled in safeFetch
+      if (CONFIG.DEBUG) {
+        log('Batch send failed (handled safely):', error.message);
+      }
+      if (!delivered) {
+        handleFailedDelivery(batch, error);
+      }
+    });
+  }
+
+  // ============================================================================
+  // HEALTH MONITORING (Phase 1)
+  // ============================================================================
+  
+  // options.unload: sent while the page goes away, so it needs keepalive
+  function sendHealthEvent(eventType, data = {}, options = {}) {
+    safeExecute(() => {
+      if (!CONFIG.HEALTH_MONITOR_ENDPOINT || !canSendData()) {
+        return;
       }
       
-      captureEvent('session_end', {
-        metadata: { 
-          reason: reason,
-          session_duration: finalDuration,
-          ...additionalData
-        }
-      });
+      const healthEvent = {
+        projectId: projectId,
+        sessionId: sessionId,
+        userId: userId,
+        visitorId: visitorId,
+        globalVisitorId: globalVisitorId,
+        eventType: eventType,
+        pageUrl: getSanitizedPageUrl(),
+        userAgent: navigator.userAgent,
+        recorderVersion: '2.0.0-failsafe',
+        ...data
+      };
       
-      if (eventQueue.length > 0) {
-        sendBatch(true);
-      }
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 10000); // 10 second timeout for health events
       
-      [inactivityTimer, visibilityTimer, batchTimer].forEach(timer => {
-        if (timer) {
-          clearTimeout(timer);
+      sendViaTransport({
+        kind: 'health',
+        url: CONFIG.HEALTH_MONITOR_ENDPOINT,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(healthEvent),
+        signal: controller.signal,
+        keepalive: !!options.unload,
+        unload: !!options.unload
+      }).catch((error) => {
+        // Health monitoring failures should not impact the recorder
+        if (CONFIG.DEBUG) {
+          console.warn('[WhysRecorder] Health monitoring failed (non-critical):', error.message);
         }
       });
-      
-      inactivityTimer = null;
-      visibilityTimer = null;
-      batchTimer = null;
-    }, 'endSession');
+    }, 'sendHealthEvent');
+  }
+  
+  function scheduleNextHealthReport() {
+    if (!CONFIG.ADAPTIVE_HEALTH_REPORTING) {
+      // Original fixed interval
+      healthReportTimer = setTimeout(reportHealthMetrics, CONFIG.HEALTH_REPORT_INTERVAL);
+      return;
+    }
+    
+    // Phase 1 Optimization: Adaptive health reporting
+    const timeSinceLastEvent = Date.now() - healthMetrics.lastEventTime;
+    
+    if (timeSinceLastEvent > 600000) { // 10 min idle
+      currentHealthInterval = 900000;   // Report every 15 min
+    } else if (globalErrorCount > 5) {
+      currentHealthInterval = 60000;    // Report every 1 min if errors
+    } else if (healthMetrics.eventsProcessed > 100) {
+      currentHealthInterval = 180000;   // Report every 3 min if active
+    } else {
+      currentHealthInterval = CONFIG.HEALTH_REPORT_INTERVAL; // Default 5 min
+    }
+    
+    healthReportTimer = setTimeout(reportHealthMetrics, currentHealthInterval);
   }
 
-  function handleVisibilityChange() {
-    if (sessionEnded || recorderDisabled) return;
+  function reportHealthMetrics() {
+    if (recorderDisabled) return;
     
     safeExecute(() => {
-      if (document.hidden) {
-        log('Page hidden - starting tab hidden timer');
-        if (visibilityTimer) {
-          clearTimeout(visibilityTimer);
-        }
+      const now = Date.now();
+      const uptime = now - healthMetrics.startTime;
+      const timeSinceLastReport = now - healthMetrics.lastHealthReport;
+      
+      if (timeSinceLastReport >= CONFIG.HEALTH_REPORT_INTERVAL) {
+        const healthData = {
+          errorCount: globalErrorCount,
+          networkErrorCount: networkErrorCount,
+          storageErrorCount: storageErrorCount,
+          eventsProcessed: healthMetrics.eventsProcessed,
+          queueLength: eventQueue.length,
+          uptimeMs: uptime,
+          offlineBatchesPersisted: healthMetrics.offlineBatchesPersisted,
+          offlineBatchesRetried: healthMetrics.offlineBatchesRetried,
+          offlineBatchesDropped: healthMetrics.offlineBatchesDropped,
+          compressionRatio: getCompressionRatio(),
+          beaconRejections: healthMetrics.beaconRejections,
+          rateLimitedResponses: healthMetrics.rateLimitedResponses,
+          batchRetries: healthMetrics.batchRetries,
+          batchesRejected: healthMetrics.batchesRejected,
+          retryQueueLength: retryQueue.length
+        };
         
-        const tabHiddenTimeout = 10 * 60 * 1000; // 10 minutes
-        visibilityTimer = setTimeout(() => {
-          if (document.hidden && !sessionEnded) {
-            endSession('tab_hidden_timeout', {
-              hidden_duration: tabHiddenTimeout
-            });
+        // Send health report to monitoring system
+        sendHealthEvent('health_report', healthData);
+        
+        // Also send as custom event to main system
+        captureEvent('health_report', {
+          metadata: {
+            ...healthData,
+            totalErrors: healthMetrics.totalErrors,
+            networkErrors: healthMetrics.networkErrors,
+            storageErrors: healthMetrics.storageErrors,
+            disabled: recorderDisabled,
+            timestamp: new Date().toISOString()
           }
-        }, tabHiddenTimeout);
+        });
         
-      } else {
-        log('Page visible - resetting activity');
-        if (visibilityTimer) {
-          clearTimeout(visibilityTimer);
-          visibilityTimer = null;
+        healthMetrics.lastHealthReport = now;
+        
+        if (CONFIG.DEBUG) {
+          log('Health report:', healthData);
         }
-        updateActivity();
       }
-      
-      captureEvent('visibility', {
-        metadata: { 
-          hidden: document.hidden,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }, 'handleVisibilityChange');
+    }, 'reportHealthMetrics');
   }
 
-  function captureEvent(eventType, data = {}) {
-    if (!isInitialized || !sessionId || sessionEnded || recorderDisabled) return;
+  // Start adaptive health monitoring (Phase 1 optimization)
+  scheduleNextHealthReport();
+
+  // ============================================================================
+  // CROSS-DOMAIN LINKING
+  // ============================================================================
+  // Links to CROSS_DOMAIN_LINKS domains get a whys_xd parameter carrying our
+  // visitor and session IDs, added when the link is clicked so it is fresh.
+  // The receiving page adopts them in init when the parameter is younger than
+  // CROSS_DOMAIN_LINK_TTL and its checksum matches. The checksum ties the IDs
+  // to the project and browser so a copied or truncated link doesn't merge
+  // strangers. It is an unkeyed hash anyone can recompute, not a signature.
+
+  const CROSS_DOMAIN_PARAM = 'whys_xd';
+  const CROSS_DOMAIN_LINK_VERSION = '1';
+
+  let crossDomainLinkingInitialized = false;
+
+  // 53-bit string hash (cyrb53), synchronous so links can be decorated on click
+  function hashLinkPayload(value) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < value.length; i++) {
+      const ch = value.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  function checksumLinkPayload(payload) {
+    const userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '';
+    return hashLinkPayload(`${payload}|${projectId}|${userAgent}`);
+  }
+
+  function createCrossDomainToken() {
+    const payload = [
+      CROSS_DOMAIN_LINK_VERSION,
+      Date.now().toString(36),
+      visitorId,
+      globalVisitorId,
+      sessionId
+    ].join('.');
+    return `${payload}.${checksumLinkPayload(payload)}`;
+  }
 
+  function parseCrossDomainToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 6 || parts[0] !== CROSS_DOMAIN_LINK_VERSION) return null;
+
+    const checksum = parts.pop();
+    if (checksumLinkPayload(parts.join('.')) !== checksum) {
+      log('Ignoring cross-domain link with invalid checksum');
+      return null;
+    }
+
+    // Created by this same browser, so both ends share a clock
+    const age = Date.now() - parseInt(parts[1], 36);
+    if (isNaN(age) || age < 0 || age > CONFIG.CROSS_DOMAIN_LINK_TTL) {
+      log('Ignoring expired cross-domain link');
+      return null;
+    }
+
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    const [, , linkedVisitorId, linkedGlobalVisitorId, linkedSessionId] = parts;
+    if (![linkedVisitorId, linkedGlobalVisitorId, linkedSessionId].every(id => uuidRegex.test(id))) return null;
+
+    return { visitorId: linkedVisitorId, globalVisitorId: linkedGlobalVisitorId, sessionId: linkedSessionId };
+  }
+
+  // Reads and removes whys_xd from the address bar so it isn't recorded or shared
+  function consumeCrossDomainLink() {
     return safeExecute(() => {
-      // Memory protection - prevent queue overflow
-      if (eventQueue.length >= CONFIG.MAX_EVENT_QUEUE_SIZE) {
-        log('Event queue overflow, dropping old events');
-        eventQueue = eventQueue.slice(-CONFIG.MAX_EVENT_QUEUE_SIZE / 2);
-        
-        // Send health event for memory limit
-        sendHealthEvent('memory_limit_exceeded', {
-          queueLength: eventQueue.length,
-          maxQueueSize: CONFIG.MAX_EVENT_QUEUE_SIZE,
-          eventsProcessed: healthMetrics.eventsProcessed,
-          reason: 'Event queue overflow protection'
-        });
+      const url = new URL(location.href);
+      const token = url.searchParams.get(CROSS_DOMAIN_PARAM);
+      if (token === null) return null;
+
+      url.searchParams.delete(CROSS_DOMAIN_PARAM);
+      if (history && typeof history.replaceState === 'function') {
+        history.replaceState(history.state, '', url.pathname + url.search + url.hash);
       }
 
-      const event = {
-        sessionId: sessionId,
-        eventType: eventType,
-        timestamp: new Date().toISOString(),
-        pageUrl: window.location.href,
-        ...data
-      };
+      const linkedIds = parseCrossDomainToken(token);
+      if (linkedIds) log('Adopting visitor and session from cross-domain link:', linkedIds.sessionId);
+      return linkedIds;
+    }, 'consumeCrossDomainLink');
+  }
 
-      eventQueue.push(event);
-      healthMetrics.eventsProcessed++;
-      log('Event captured:', eventType, data);
+  // Strings match the hostname or any of its subdomains; RegExps are tested as-is
+  function isLinkedDomain(hostname) {
+    if (!hostname || hostname === location.hostname) return false;
+    return CONFIG.CROSS_DOMAIN_LINKS.some(rule => {
+      if (rule instanceof RegExp) return rule.test(hostname);
+      if (typeof rule !== 'string' || !rule) return false;
+      const domain = rule.toLowerCase().replace(/^\./, '');
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    });
+  }
 
-      if (['click', 'scroll', 'input', 'navigation'].includes(eventType)) {
-        updateActivity();
-      }
+  function decorateUrl(url) {
+    return safeExecute(() => {
+      if (!isInitialized || sessionEnded || !canUseStorage()) return url;
+      const parsed = new URL(url, location.href);
+      if (!/^https?:$/.test(parsed.protocol) || !isLinkedDomain(parsed.hostname.toLowerCase())) return url;
 
-      if (eventQueue.length >= CONFIG.BATCH_SIZE) {
-        sendBatch();
-      } else if (!batchTimer) {
-        batchTimer = setTimeout(() => {
-          // Flush any pending console logs before sending batch
-          if (consoleLogQueue.length > 0) {
-            flushConsoleLogs();
-          }
-          sendBatch();
-        }, CONFIG.BATCH_TIMEOUT);
-      }
-    }, 'captureEvent');
+      parsed.searchParams.set(CROSS_DOMAIN_PARAM, createCrossDomainToken());
+      return parsed.toString();
+    }, 'decorateUrl') || url;
   }
 
-  function setupEventListeners() {
-    if (recorderDisabled) return;
-    
+  function handleLinkInteraction(event) {
     safeExecute(() => {
-      // Click events with safe handling
-      document.addEventListener('click', function(e) {
-        safeExecute(() => {
-          captureEvent('click', {
-            elementSelector: getElementSelector(e.target),
-            elementText: getElementText(e.target),
-            elementTag: e.target && e.target.tagName ? e.target.tagName.toLowerCase() : 'unknown',
-            clickCoordinates: { x: e.clientX || 0, y: e.clientY || 0 }
-          });
-        }, 'click_handler');
-      }, true);
-
-      // Scroll events (throttled) with safe handling
-      let scrollTimeout;
-      document.addEventListener('scroll', function(e) {
-        clearTimeout(scrollTimeout);
-        scrollTimeout = setTimeout(() => {
-          safeExecute(() => {
-            captureEvent('scroll', {
-              scrollPosition: { x: window.scrollX || 0, y: window.scrollY || 0 }
-            });
-          }, 'scroll_handler');
-        }, 100);
-      }, true);
-
-      // ============================================================================
-      // SENSITIVE DATA FILTERING - Enhanced Security
-      // ============================================================================
-      const SENSITIVE_PATTERNS = [
-        /passw(or)?d/i,
-        /passwd/i,
-        /pwd/i,
-        /pin/i,
-        /ssn/i,
-        /social[-_\s]?security/i,
-        /credit[-_\s]?card/i,
-        /cc[-_\s]?number/i,
-        /card[-_\s]?number/i,
-        /cvv/i,
-        /cvc/i,
-        /security[-_\s]?code/i,
-        /api[-_\s]?key/i,
-        /access[-_\s]?token/i,
-        /secret/i,
-        /auth[-_\s]?token/i,
-        /bearer/i,
-        /routing[-_\s]?number/i,
-        /account[-_\s]?number/i,
-        /tax[-_\s]?id/i,
-        /ein/i
-      ];
-
-      function isSensitiveInput(element) {
-        if (!element) return true; // Default to sensitive if unclear
-        
-        // Always filter password fields
-        if (element.type === 'password') return true;
-        
-        // Check autocomplete attributes (standard HTML autocomplete values)
-        const autocomplete = element.autocomplete?.toLowerCase() || '';
-        if (autocomplete.includes('cc-') || 
-            autocomplete === 'new-password' ||
-            autocomplete === 'current-password' ||
-            autocomplete === 'one-time-code') {
-          return true;
-        }
-        
-        // Check name, id, and placeholder for sensitive keywords
-        const checkStrings = [
-          element.name,
-          element.id,
-          element.placeholder,
-          element.className
-        ].filter(Boolean).join(' ').toLowerCase();
-        
-        if (SENSITIVE_PATTERNS.some(pattern => pattern.test(checkStrings))) {
-          return true;
-        }
-        
-        // Check associated label text
-        const label = getFieldLabel(element)?.toLowerCase() || '';
-        if (SENSITIVE_PATTERNS.some(pattern => pattern.test(label))) {
-          return true;
-        }
-        
-        return false;
+      if (event.type === 'keydown' && event.key !== 'Enter') return;
+      const link = event.target && event.target.closest ? event.target.closest('a[href]') : null;
+      if (!link) return;
+
+      const decorated = decorateUrl(link.href);
+      if (decorated !== link.href) {
+        link.href = decorated;
       }
+    }, 'handleLinkInteraction');
+  }
 
-      // Input events with privacy protection
-      document.addEventListener('input', function(e) {
-        safeExecute(() => {
-          const element = e.target;
-          
-          // Skip sensitive inputs entirely
-          if (isSensitiveInput(element)) {
-            return;
-          }
+  function setupCrossDomainLinking() {
+    if (crossDomainLinkingInitialized || CONFIG.CROSS_DOMAIN_LINKS.length === 0) return;
 
-          captureEvent('input', {
-            elementSelector: getElementSelector(element),
-            elementText: getFieldLabel(element),
-            elementTag: element && element.tagName ? element.tagName.toLowerCase() : 'unknown',
-            inputValue: element.value && element.value.length > 0 ? '[REDACTED]' : '', // Still redact for extra safety
-            inputType: element.type || 'unknown'
-          });
-        }, 'input_handler');
-      }, true);
+    safeExecute(() => {
+      // mousedown/keydown fire before navigation, including middle-click and new-tab opens
+      addSharedListener(document, 'mousedown', handleLinkInteraction, true);
+      addSharedListener(document, 'keydown', handleLinkInteraction, true);
+      crossDomainLinkingInitialized = true;
+      log('Cross-domain link decoration enabled for', CONFIG.CROSS_DOMAIN_LINKS);
+    }, 'setupCrossDomainLinking');
+  }
 
-      // Page navigation with safe URL handling
-      let currentUrl = window.location.href;
-      function checkUrlChange() {
-        safeExecute(() => {
-          const newUrl = window.location.href;
-          if (newUrl !== currentUrl) {
-            const previousUrl = currentUrl;
-            currentUrl = newUrl;
-            
-            captureEvent('navigation', {
-              navigationData: {
-                from: previousUrl,
-                to: newUrl,
-                type: 'spa'
-              }
-            });
-            
-            updateSessionUrl();
-          }
-        }, 'url_change_check');
-      }
+  function teardownCrossDomainLinking() {
+    if (!crossDomainLinkingInitialized) return;
 
-      // Monitor for SPA navigation
-      window.addEventListener('popstate', checkUrlChange);
-      
-      // Override pushState and replaceState for SPA detection
-      const originalPushState = history.pushState;
-      const originalReplaceState = history.replaceState;
-      
-      history.pushState = function(...args) {
-        safeExecute(() => {
-          originalPushState.apply(this, args);
-          setTimeout(checkUrlChange, 0);
-        }, 'pushState_override');
-      };
-      
-      history.replaceState = function(...args) {
-        safeExecute(() => {
-          originalReplaceState.apply(this, args);
-          setTimeout(checkUrlChange, 0);
-        }, 'replaceState_override');
-      };
+    safeExecute(() => {
+      removeSharedListener(document, 'mousedown', handleLinkInteraction, true);
+      removeSharedListener(document, 'keydown', handleLinkInteraction, true);
+      crossDomainLinkingInitialized = false;
+    }, 'teardownCrossDomainLinking');
+  }
 
-      // Page lifecycle events
-      document.addEventListener('visibilitychange', handleVisibilityChange);
-      
-      window.addEventListener('beforeunload', function() {
-        safeExecute(() => {
-          if (!sessionEnded) {
-            // Flush any remaining console logs before ending session
-        if (consoleLogQueue.length > 0) {
-          flushConsoleLogs();
-        }
-        endSession('page_unload');
-          }
-        }, 'beforeunload_handler');
-      });
+  // ============================================================================
+  // CROSS-TAB COORDINATION (BroadcastChannel)
+  // ============================================================================
+  // Tabs of the same project share one session through localStorage; this keeps
+  // them in step. Activity in any tab resets every tab's inactivity timer, a tab
+  // that closes while others are open only flushes its own events, and
+  // session_end is sent by the last tab to close or, when all tabs go idle, by
+  // the leader (the live tab with the lowest tabId). With leader batching,
+  // other tabs hand their events to the leader, which sends them together and
+  // acknowledges them; unacknowledged events are sent by the tab itself.
 
-      window.addEventListener('pagehide', function() {
-        safeExecute(() => {
-          if (!sessionEnded) {
-            endSession('page_hide');
-          }
-        }, 'pagehide_handler');
-      });
+  const TAB_STALE_AFTER = 150000; // Background tabs may only run timers once a minute
+  const ACTIVITY_BROADCAST_INTERVAL = 5000;
+  const FORWARD_ACK_TIMEOUT = 3000;
 
-    }, 'setupEventListeners');
+  let tabId = null;
+  let tabChannel = null;
+  let tabHeartbeatTimer = null;
+  let lastActivityBroadcast = 0;
+  const knownTabs = new Map(); // tabId -> last time we heard from it
+  const forwardedEvents = new Map(); // forwardId -> { events, timer } awaiting the leader's ack
+
+  // Kept in sessionStorage (when storage is allowed) so a reload stays the same tab
+  function getTabId() {
+    if (tabId) return tabId;
+    tabId = safeExecute(() => {
+      const stored = canUseStorage() && typeof sessionStorage !== 'undefined' ? sessionStorage.getItem('whys_tab_id') : null;
+      if (stored) return stored;
+      const created = generateUUID();
+      if (canUseStorage() && typeof sessionStorage !== 'undefined') {
+        sessionStorage.setItem('whys_tab_id', created);
+      }
+      return created;
+    }, 'getTabId') || generateUUID();
+    return tabId;
   }
 
-  function updateSessionUrl() {
-    if (recorderDisabled) return;
+  // A duplicated tab starts with a copy of sessionStorage, tab id included
+  function regenerateTabId() {
     safeExecute(() => {
-      if (sessionData) {
-        sessionData.pageUrl = window.location.href;
+      if (typeof sessionStorage !== 'undefined') {
+        sessionStorage.removeItem('whys_tab_id');
       }
-    }, 'updateSessionUrl');
+      tabId = null;
+      log('Tab id already in use by another tab, using', getTabId());
+      postTabMessage('hello');
+    }, 'regenerateTabId');
   }
 
-  function sendBatch(useBeacon = false) {
-    if (eventQueue.length === 0 || recorderDisabled) return;
-    
-    return safeExecute(() => {
-      // Validate session data
-      if (!sessionData || !sessionData.projectId || !sessionData.sessionId) {
-        log('Invalid session data, skipping batch send:', sessionData);
+  function postTabMessage(type, data = {}) {
+    if (!tabChannel) return;
+    safeExecute(() => {
+      tabChannel.postMessage({ type: type, tabId: getTabId(), sessionId: sessionId, ...data });
+    }, 'postTabMessage');
+  }
+
+  function getLiveTabIds() {
+    const now = Date.now();
+    knownTabs.forEach((lastSeen, id) => {
+      if (now - lastSeen > TAB_STALE_AFTER) knownTabs.delete(id);
+    });
+    return Array.from(knownTabs.keys());
+  }
+
+  function hasOtherLiveTabs() {
+    return getLiveTabIds().length > 0;
+  }
+
+  function isLeaderTab() {
+    const ownId = getTabId();
+    return getLiveTabIds().every(id => id > ownId);
+  }
+
+  function handleTabMessage(event) {
+    safeExecute(() => {
+      const message = event.data;
+      if (!message || !message.tabId) return;
+      // The channel never echoes our own messages, so this is a tab with our id
+      if (message.tabId === getTabId()) {
+        if (message.type === 'hello') {
+          postTabMessage('tab_id_conflict');
+        } else if (message.type === 'tab_id_conflict') {
+          regenerateTabId();
+        }
         return;
       }
 
-      if (!sessionData.visitorId || !sessionData.globalVisitorId) {
-        log('Missing visitor IDs, skipping batch send');
+      // Carries the new session's id, so it can't wait for the check below
+      if (message.type === 'session_reset') {
+        if (message.previousSessionId === sessionId) {
+          resetSession(message.newVisitor, true);
+        }
         return;
       }
 
-      // Validate UUIDs
-      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-      if (!uuidRegex.test(sessionData.sessionId) || 
-          !uuidRegex.test(sessionData.visitorId) || 
-          !uuidRegex.test(sessionData.globalVisitorId)) {
-        
-        // Regenerate invalid IDs
-        if (!uuidRegex.test(sessionData.sessionId)) {
-          sessionData.sessionId = generateUUID();
-          sessionId = sessionData.sessionId;
-        }
-        if (!uuidRegex.test(sessionData.visitorId)) {
-          sessionData.visitorId = generateUUID();
-          visitorId = sessionData.visitorId;
-        }
-        if (!uuidRegex.test(sessionData.globalVisitorId)) {
-          sessionData.globalVisitorId = generateUUID();
-          globalVisitorId = sessionData.globalVisitorId;
+      // Tabs on another session (e.g. after a reset) don't share our lifecycle
+      if (message.type === 'bye' || message.sessionId !== sessionId) {
+        knownTabs.delete(message.tabId);
+        return;
+      }
+      knownTabs.set(message.tabId, Date.now());
+
+      switch (message.type) {
+        case 'hello':
+          postTabMessage('heartbeat');
+          break;
+        case 'activity':
+          if (!sessionEnded) {
+            lastActivityTime = Date.now();
+            startInactivityTimer();
+          }
+          break;
+        case 'events':
+          if (message.to === getTabId() && !sessionEnded && Array.isArray(message.events)) {
+            eventQueue.push(...message.events);
+            scheduleBatchSend();
+            postTabMessage('events_ack', { to: message.tabId, forwardId: message.forwardId });
+          }
+          break;
+        case 'events_ack':
+          if (message.to === getTabId()) {
+            acknowledgeForwardedEvents(message.forwardId);
+          }
+          break;
+        case 'session_ended':
+          endSession(message.reason, {}, { localOnly: true });
+          break;
+      }
+    }, 'handleTabMessage');
+  }
+
+  // Throttled: tells other tabs we're active and keeps the shared session alive
+  function shareActivity() {
+    const now = Date.now();
+    if (now - lastActivityBroadcast < ACTIVITY_BROADCAST_INTERVAL) return;
+    lastActivityBroadcast = now;
+
+    if (projectId && sessionId && !sessionEnded) {
+      setStoredId(`whys_session_timestamp_${projectId}`, now.toString());
+    }
+    postTabMessage('activity');
+  }
+
+  // Followers hand their events to the leader instead of sending them. They
+  // stay queued here until the leader acknowledges them.
+  function forwardEventsToLeader(events) {
+    if (!CONFIG.CROSS_TAB_LEADER_BATCHING || !tabChannel || isLeaderTab()) return false;
+
+    const forwardId = generateUUID();
+    const leaderId = getLiveTabIds().sort()[0];
+    forwardedEvents.set(forwardId, {
+      events: events,
+      timer: setTimeout(() => {
+        const forwarded = forwardedEvents.get(forwardId);
+        if (!forwarded) return;
+        forwardedEvents.delete(forwardId);
+        log('Leader tab did not acknowledge events, sending them directly');
+        sendEvents(forwarded.events, false, { batchId: generateUUID() });
+      }, FORWARD_ACK_TIMEOUT)
+    });
+    postTabMessage('events', { to: leaderId, forwardId: forwardId, events: events });
+    return true;
+  }
+
+  function acknowledgeForwardedEvents(forwardId) {
+    const forwarded = forwardedEvents.get(forwardId);
+    if (!forwarded) return;
+    clearTimeout(forwarded.timer);
+    forwardedEvents.delete(forwardId);
+    handleDeliveredEvents(forwarded.events);
+  }
+
+  // Events still waiting for an ack, e.g. to go out with the unload beacon
+  function takeUnacknowledgedEvents() {
+    const events = [];
+    forwardedEvents.forEach(forwarded => {
+      clearTimeout(forwarded.timer);
+      events.push(...forwarded.events);
+    });
+    forwardedEvents.clear();
+    return events;
+  }
+
+  function setupCrossTabSync() {
+    if (!CONFIG.CROSS_TAB_SYNC || tabChannel || typeof BroadcastChannel === 'undefined' || !projectId) return;
+
+    safeExecute(() => {
+      tabChannel = new BroadcastChannel(`whys_tabs_${projectId}`);
+      tabChannel.onmessage = handleTabMessage;
+      postTabMessage('hello');
+
+      tabHeartbeatTimer = setInterval(() => {
+        if (!sessionEnded) {
+          postTabMessage('heartbeat');
         }
-      }
+      }, CONFIG.CROSS_TAB_HEARTBEAT_INTERVAL);
+    }, 'setupCrossTabSync');
+  }
 
-      const payload = {
-        sessionData: sessionData,
-        events: [...eventQueue]
-      };
+  function teardownCrossTabSync() {
+    if (!tabChannel) return;
 
-      // Check payload size - split if too large
-      const payloadSize = new TextEncoder().encode(JSON.stringify(payload)).length;
-      if (payloadSize > CONFIG.MAX_PAYLOAD_SIZE) {
-        log('Payload too large, splitting batch');
-        const halfSize = Math.floor(eventQueue.length / 2);
-        const firstHalf = eventQueue.splice(0, halfSize);
-        sendBatchData({ sessionData: sessionData, events: firstHalf }, useBeacon);
-        return;
+    safeExecute(() => {
+      const unacknowledged = takeUnacknowledgedEvents();
+      if (unacknowledged.length > 0 && canSendData()) {
+        sendEvents(unacknowledged, false, { batchId: generateUUID() });
       }
+      postTabMessage('bye');
+      clearInterval(tabHeartbeatTimer);
+      tabHeartbeatTimer = null;
+      tabChannel.close();
+      tabChannel = null;
+      knownTabs.clear();
+    }, 'teardownCrossTabSync');
+  }
 
-      sendBatchData(payload, useBeacon);
-      eventQueue = [];
-      
-      if (batchTimer) {
-        clearTimeout(batchTimer);
-        batchTimer = null;
-      }
-    }, 'sendBatch');
+  // ============================================================================
+  // CAPTURE LIFECYCLE
+  // ============================================================================
+
+  function startCapture() {
+    setupOfflineQueue();
+    setupCrossTabSync();
+    setupCrossDomainLinking();
+    setupEventListeners();
+    setupErrorCapture();
+    setupNetworkCapture();
+    setupWebVitals();
+    setupFormTracking();
+    updateActivity();
+    startDomRecording();
+    scheduleSessionRollover();
   }
 
-  function sendBatchData(payload, useBeacon = false) {
-    if (recorderDisabled) return;
-    
-    const url = CONFIG.API_ENDPOINT;
-    const data = JSON.stringify(payload);
+  function stopCapture() {
+    teardownOfflineQueue();
+    teardownCrossTabSync();
+    teardownCrossDomainLinking();
+    teardownEventListeners();
+    restoreConsole();
+    teardownErrorCapture();
+    teardownNetworkCapture();
+    teardownWebVitals();
+    clearFrustrationState();
+    teardownFormTracking();
+    stopDomRecording();
+    clearSessionRolloverTimer();
 
-    log('Sending batch data:', {
-      url: url,
-      payloadSize: data.length,
-      eventsCount: payload.events?.length || 0,
-      useBeacon: useBeacon
+    [inactivityTimer, visibilityTimer, batchTimer].forEach(timer => {
+      if (timer) {
+        clearTimeout(timer);
+      }
     });
+    inactivityTimer = null;
+    visibilityTimer = null;
+    batchTimer = null;
+  }
 
-    if (useBeacon && navigator.sendBeacon) {
-      // Use beacon for page unload - fail silently
-      safeExecute(() => {
-        const blob = new Blob([data], { type: 'application/json' });
-        const sent = navigator.sendBeacon(url, blob);
-        log('Batch sent via beacon:', sent, payload.events.length, 'events');
-      }, 'beacon_send');
-    } else {
-      // Use fetch with timeout and error handling
-      safeFetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: data
-      })
-      .then(response => {
-        if (response) {
-          return response.json();
-        }
-      })
-      .then(result => {
-        if (result && CONFIG.DEBUG) {
-          log('Batch sent successfully:', result);
-        }
-      })
-      .catch(error => {
-        // Error already handled in safeFetch
-        if (CONFIG.DEBUG) {
-          log('Batch send failed (handled safely):', error.message);
-        }
-      });
-    }
+  // Needs isInitialized so captureEvent accepts it
+  function captureSessionStart(reason, additionalData = {}) {
+    captureEvent('session_start', {
+      metadata: { 
+        initialized: true,
+        reason: reason,
+        ...additionalData,
+        userAgent: navigator.userAgent,
+        initialUrl: getSanitizedPageUrl(),
+        referrer: sanitizeUrl(document.referrer),
+        timestamp: new Date().toISOString(),
+        recorderVersion: '2.0.0-failsafe'
+      }
+    });
   }
 
-  // ============================================================================
-  // HEALTH MONITORING (Phase 1)
-  // ============================================================================
-  
-  function sendHealthEvent(eventType, data = {}) {
+  function startNewSession(reason, additionalData = {}) {
     safeExecute(() => {
-      if (typeof fetch === 'undefined' || !CONFIG.HEALTH_MONITOR_ENDPOINT) {
-        return;
+      sessionId = getOrCreateSessionId(projectId);
+      eventSequence = loadEventSequence();
+      loadSessionStart();
+      const { visitorId: vid, globalVisitorId: gvid } = getOrCreateVisitorIds(projectId);
+      visitorId = vid;
+      globalVisitorId = gvid;
+
+      // A new object: payloads of the previous session still in flight keep theirs
+      if (sessionData) {
+        sessionData = {
+          ...sessionData,
+          sessionId: sessionId,
+          userId: userId,
+          visitorId: visitorId,
+          globalVisitorId: globalVisitorId,
+          pageUrl: getSanitizedPageUrl(),
+          startTime: Date.now(),
+          clockOffsetMs: null
+        };
       }
-      
-      const healthEvent = {
-        projectId: projectId,
-        sessionId: sessionId,
-        userId: userId,
-        visitorId: visitorId,
-        globalVisitorId: globalVisitorId,
-        eventType: eventType,
-        pageUrl: window.location.href,
-        userAgent: navigator.userAgent,
-        recorderVersion: '2.0.0-failsafe',
-        ...data
-      };
-      
-      const controller = new AbortController();
-      setTimeout(() => controller.abort(), 10000); // 10 second timeout for health events
-      
-      fetch(CONFIG.HEALTH_MONITOR_ENDPOINT, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(healthEvent),
-        signal: controller.signal,
-        keepalive: true
-      }).catch((error) => {
-        // Health monitoring failures should not impact the recorder
-        if (CONFIG.DEBUG) {
-          console.warn('[WhysRecorder] Health monitoring failed (non-critical):', error.message);
-        }
-      });
-    }, 'sendHealthEvent');
+      // Properties set on this page carry over into the new session. A reset
+      // cleared them, and the tab that reset may already have set new ones.
+      if (reason === 'reset') {
+        loadProperties();
+      } else {
+        persistProperties();
+      }
+      startSessionClock();
+      // Per-session budgets and counters start over
+      jsErrorCount = 0;
+      consoleLogCount = 0;
+      clearFrustrationState();
+
+      sessionEnded = false;
+      captureSessionStart(reason, additionalData);
+      startCapture();
+      log('Started new session:', sessionId, 'reason:', reason);
+    }, 'startNewSession');
   }
-  
-  function scheduleNextHealthReport() {
-    if (!CONFIG.ADAPTIVE_HEALTH_REPORTING) {
-      // Original fixed interval
-      healthReportTimer = setTimeout(reportHealthMetrics, CONFIG.HEALTH_REPORT_INTERVAL);
-      return;
-    }
-    
-    // Phase 1 Optimization: Adaptive health reporting
-    const timeSinceLastEvent = Date.now() - healthMetrics.lastEventTime;
-    
-    if (timeSinceLastEvent > 600000) { // 10 min idle
-      currentHealthInterval = 900000;   // Report every 15 min
-    } else if (globalErrorCount > 5) {
-      currentHealthInterval = 60000;    // Report every 1 min if errors
-    } else if (healthMetrics.eventsProcessed > 100) {
-      currentHealthInterval = 180000;   // Report every 3 min if active
-    } else {
-      currentHealthInterval = CONFIG.HEALTH_REPORT_INTERVAL; // Default 5 min
-    }
-    
-    healthReportTimer = setTimeout(reportHealthMetrics, currentHealthInterval);
+
+  // After a timeout the listeners stay attached; the next user activity starts
+  // a new session linked to the one that timed out
+  function resumeSessionAfterTimeout(reason = 'activity_after_timeout') {
+    if (!restartableSessionId || recorderDisabled || consentState === 'denied') return false;
+
+    return safeExecute(() => {
+      const previousSessionId = restartableSessionId;
+      restartableSessionId = null;
+
+      // Unless another tab already started the next session, the stored one has ended
+      if (getStoredId(`whys_session_${projectId}`) === previousSessionId) {
+        removeStoredId(`whys_session_${projectId}`);
+        removeStoredId(`whys_session_timestamp_${projectId}`);
+      }
+
+      startNewSession(reason, { previousSessionId: previousSessionId });
+      postTabMessage('hello');
+      return !sessionEnded;
+    }, 'resumeSessionAfterTimeout') || false;
   }
 
-  function reportHealthMetrics() {
-    if (recorderDisabled) return;
-    
+  // Logout or account switch: close the session and start over with fresh IDs
+  // (and optionally a fresh visitor) without reloading the page. Other tabs on
+  // the same session follow (fromOtherTab) and pick up the IDs stored here.
+  function resetSession(newVisitor, fromOtherTab = false) {
     safeExecute(() => {
-      const now = Date.now();
-      const uptime = now - healthMetrics.startTime;
-      const timeSinceLastReport = now - healthMetrics.lastHealthReport;
-      
-      if (timeSinceLastReport >= CONFIG.HEALTH_REPORT_INTERVAL) {
-        const healthData = {
-          errorCount: globalErrorCount,
-          networkErrorCount: networkErrorCount,
-          storageErrorCount: storageErrorCount,
-          eventsProcessed: healthMetrics.eventsProcessed,
-          queueLength: eventQueue.length,
-          uptimeMs: uptime
-        };
-        
-        // Send health report to monitoring system
-        sendHealthEvent('health_report', healthData);
-        
-        // Also send as custom event to main system
-        captureEvent('health_report', {
-          metadata: {
-            ...healthData,
-            totalErrors: healthMetrics.totalErrors,
-            networkErrors: healthMetrics.networkErrors,
-            storageErrors: healthMetrics.storageErrors,
-            disabled: recorderDisabled,
-            timestamp: new Date().toISOString()
-          }
-        });
-        
-        healthMetrics.lastHealthReport = now;
-        
-        if (CONFIG.DEBUG) {
-          log('Health report:', healthData);
+      userId = null;
+      // Denying consent already stopped recording and purged the IDs
+      if (consentState === 'denied') return;
+
+      const previousSessionId = sessionId;
+      // The resetting tab's session_end closes the session for every tab
+      endSession('reset', { new_visitor: newVisitor }, { localOnly: fromOtherTab, pageStays: true });
+      stopCapture();
+      // Events still waiting for consent belong to the previous user
+      if (!canSendData()) {
+        eventQueue = [];
+      }
+
+      if (!fromOtherTab) {
+        const keys = [
+          `whys_session_${projectId}`,
+          `whys_session_timestamp_${projectId}`
+        ];
+        if (newVisitor) {
+          keys.push(`whys_visitor_${projectId}`, 'whys_global_visitor');
         }
+        keys.forEach(key => removeStoredId(key));
+        safeLocalStorageRemove(getSequenceKey(projectId));
+        // Traits and properties described the previous user
+        clearProperties();
       }
-    }, 'reportHealthMetrics');
+
+      startNewSession('reset');
+      if (!fromOtherTab) {
+        postTabMessage('session_reset', { previousSessionId: previousSessionId, newVisitor: !!newVisitor });
+      }
+    }, 'resetSession');
   }
 
-  // Start adaptive health monitoring (Phase 1 optimization)
-  scheduleNextHealthReport();
+  // ============================================================================
+  // CONFIGURATION HELPERS
+  // ============================================================================
+
+  // Applies a numeric init option (number or data-* string) within [min, max];
+  // invalid values are ignored so a typo never breaks initialization.
+  function setNumericConfig(key, value, min, max) {
+    if (value === undefined || value === null || value === '') return false;
+    const number = Number(value);
+    if (!isFinite(number) || number < min || number > max) {
+      log('Ignoring invalid value for', key + ':', value, '(expected ' + min + '-' + max + ')');
+      return false;
+    }
+    CONFIG[key] = number;
+    return true;
+  }
 
   // ============================================================================
   // PUBLIC API WITH SAFETY WRAPPERS
@@ -1446,19 +5323,86 @@
           userId = config.userId || null;
           
           sessionEnded = false;
+
+          // First, so warnings about the options below are logged
+          if (config.debug !== undefined) {
+            CONFIG.DEBUG = config.debug;
+          }
+          
+          // Consent must be settled before any ID is written to storage
+          if (config.requireConsent !== undefined) {
+            CONFIG.REQUIRE_CONSENT = config.requireConsent;
+          }
+          if (config.honorGlobalPrivacyControl !== undefined) {
+            CONFIG.HONOR_GLOBAL_PRIVACY_CONTROL = config.honorGlobalPrivacyControl;
+          }
+          if (config.tcfIntegration !== undefined) {
+            CONFIG.TCF_INTEGRATION = config.tcfIntegration;
+          }
+          if (Array.isArray(config.tcfPurposes)) {
+            CONFIG.TCF_PURPOSES = config.tcfPurposes.map(Number).filter(purpose => purpose > 0);
+          }
+          if (config.tcfVendorId !== undefined) {
+            CONFIG.TCF_VENDOR_ID = Number(config.tcfVendorId) || null;
+          }
+          consentState = getInitialConsentState();
+
+          // Where IDs live, and which domains may hand theirs over
+          if (config.cookieDomain) {
+            CONFIG.COOKIE_DOMAIN = config.cookieDomain;
+            CONFIG.ID_STORAGE = 'cookie';
+          }
+          if (config.idStorage === 'cookie' || config.idStorage === 'localStorage') {
+            CONFIG.ID_STORAGE = config.idStorage;
+          }
+          if (Array.isArray(config.crossDomainLinks)) {
+            CONFIG.CROSS_DOMAIN_LINKS = config.crossDomainLinks;
+          }
+          const linkedIds = consumeCrossDomainLink();
+
+          // Session lifetime decides whether the stored session continues
+          setNumericConfig('INACTIVITY_TIMEOUT', config.inactivityTimeout, 60 * 1000, 24 * 60 * 60 * 1000);
+          setNumericConfig('TAB_HIDDEN_TIMEOUT', config.tabHiddenTimeout, 60 * 1000, 24 * 60 * 60 * 1000);
+          setNumericConfig('MAX_SESSION_DURATION', config.maxSessionDuration, 60 * 1000, 7 * 24 * 60 * 60 * 1000);
+          if (config.sessionRollover !== undefined && config.sessionRollover !== null) {
+            if (config.sessionRollover === 'midnight' || config.sessionRollover === 'none') {
+              CONFIG.SESSION_ROLLOVER = config.sessionRollover === 'midnight' ? 'midnight' : null;
+            } else {
+              log('Ignoring invalid value for sessionRollover:', config.sessionRollover, '(expected "midnight" or "none")');
+            }
+          }
+          if (Array.isArray(config.activityEvents)) {
+            const invalidEvents = config.activityEvents.filter(type => !OPTIONAL_ACTIVITY_EVENTS.includes(type));
+            if (invalidEvents.length > 0) {
+              log('Ignoring unsupported activityEvents:', invalidEvents.join(', '));
+            }
+            CONFIG.ACTIVITY_EVENTS = config.activityEvents.filter(type => OPTIONAL_ACTIVITY_EVENTS.includes(type));
+          }
           
-          sessionId = getOrCreateSessionId(projectId);
+          sessionId = linkedIds ? linkedIds.sessionId : getOrCreateSessionId(projectId);
+          eventSequence = loadEventSequence();
+          loadSessionStart();
 
-          const { visitorId: vid, globalVisitorId: gvid } = getOrCreateVisitorIds(projectId);
+          const { visitorId: vid, globalVisitorId: gvid } = linkedIds || getOrCreateVisitorIds(projectId);
           visitorId = vid;
           globalVisitorId = gvid;
+          if (linkedIds) {
+            persistCurrentIds();
+          }
 
           // Override default config
           if (config.apiEndpoint) {
             CONFIG.API_ENDPOINT = config.apiEndpoint;
           }
-          if (config.debug !== undefined) {
-            CONFIG.DEBUG = config.debug;
+          if (config.healthEndpoint) {
+            CONFIG.HEALTH_MONITOR_ENDPOINT = config.healthEndpoint;
+          }
+          setTransport(config.transport);
+          if (config.transportHeaders && typeof config.transportHeaders === 'object') {
+            CONFIG.TRANSPORT_HEADERS = { ...config.transportHeaders };
+          }
+          if (config.websocketUrl) {
+            CONFIG.WEBSOCKET_URL = config.websocketUrl;
           }
           if (config.captureConsole !== undefined) {
             CONFIG.CAPTURE_CONSOLE_LOGS = config.captureConsole;
@@ -1469,6 +5413,56 @@
           if (config.excludeRecorderLogs !== undefined) {
             CONFIG.EXCLUDE_RECORDER_LOGS = config.excludeRecorderLogs;
           }
+          if (config.captureErrors !== undefined) {
+            CONFIG.CAPTURE_JS_ERRORS = config.captureErrors;
+          }
+          if (config.captureNetwork !== undefined) {
+            CONFIG.CAPTURE_NETWORK = config.captureNetwork;
+          }
+          if (Array.isArray(config.networkAllowlist)) {
+            CONFIG.NETWORK_URL_ALLOWLIST = config.networkAllowlist;
+          }
+          if (Array.isArray(config.networkDenylist)) {
+            CONFIG.NETWORK_URL_DENYLIST = config.networkDenylist;
+          }
+          if (config.captureWebVitals !== undefined) {
+            CONFIG.CAPTURE_WEB_VITALS = config.captureWebVitals;
+          }
+          if (config.captureDom !== undefined) {
+            CONFIG.CAPTURE_DOM = config.captureDom;
+          }
+          if (config.compressPayloads !== undefined) {
+            CONFIG.COMPRESS_PAYLOADS = config.compressPayloads;
+          }
+          if (config.offlineQueue !== undefined) {
+            CONFIG.OFFLINE_QUEUE = config.offlineQueue;
+          }
+          if (config.crossTabSync !== undefined) {
+            CONFIG.CROSS_TAB_SYNC = config.crossTabSync;
+          }
+          if (config.crossTabLeaderBatching !== undefined) {
+            CONFIG.CROSS_TAB_LEADER_BATCHING = config.crossTabLeaderBatching;
+          }
+          if (config.scrubUrls !== undefined) {
+            CONFIG.SCRUB_URLS = config.scrubUrls;
+          }
+          setUrlRules('URL_PARAM_ALLOWLIST', config.urlParamAllowlist);
+          setUrlRules('URL_PARAM_DENYLIST', config.urlParamDenylist);
+          setUrlRules('URL_PATH_REDACTIONS', config.urlPathRedactions);
+          addPrivacySelectors('mask', config.maskSelectors);
+          addPrivacySelectors('block', config.blockSelectors);
+          addPrivacySelectors('ignore', config.ignoreSelectors);
+          if (config.captureForms !== undefined) {
+            CONFIG.CAPTURE_FORMS = config.captureForms;
+          }
+          if (config.detectFrustration !== undefined) {
+            CONFIG.DETECT_FRUSTRATION = config.detectFrustration;
+          }
+          setNumericConfig('RAGE_CLICK_COUNT', config.rageClickCount, 2, 20);
+          setNumericConfig('RAGE_CLICK_RADIUS', config.rageClickRadius, 1, 500);
+          setNumericConfig('RAGE_CLICK_WINDOW', config.rageClickWindow, 100, 10000);
+          setNumericConfig('DEAD_CLICK_WINDOW', config.deadClickWindow, 100, 10000);
+          setNumericConfig('ERROR_CLICK_WINDOW', config.errorClickWindow, 100, 10000);
 
           // Initialize session data
           sessionData = {
@@ -1477,14 +5471,19 @@
             visitorId: visitorId,
             globalVisitorId: globalVisitorId,
             userId: userId,
-            pageUrl: window.location.href,
+            pageUrl: getSanitizedPageUrl(),
             userAgent: navigator.userAgent,
             screenResolution: `${screen.width}x${screen.height}`,
             viewportSize: `${window.innerWidth}x${window.innerHeight}`,
             deviceInfo: getDeviceInfo(),
             metadata: config.metadata || {},
-            startTime: Date.now() // Always use current initialization time, not session creation time
+            startTime: Date.now(), // Always use current initialization time, not session creation time
+            clockOffsetMs: null, // Server time minus monotonicTime, set after the first delivered batch
+            userTraits: {},
+            sessionProperties: {}
           };
+          loadProperties();
+          startSessionClock();
 
           // Final UUID validation
           const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
@@ -1525,24 +5524,21 @@
 
           // Phase 1: Console capture now lazy-loaded on first use
           
-          // Capture initial session start event
-          captureEvent('session_start', {
-            metadata: { 
-              initialized: true,
-              userAgent: navigator.userAgent,
-              initialUrl: window.location.href,
-              referrer: document.referrer,
-              timestamp: new Date().toISOString(),
-              recorderVersion: '2.0.0-failsafe'
-            }
-          });
-
-          setupEventListeners();
-          updateActivity();
-          
           isInitialized = true;
           initializationPromise = null;
           
+          if (consentState === 'denied') {
+            // e.g. Global Privacy Control: record nothing and keep no identifiers
+            purgeStoredIds();
+            clearOfflineQueue();
+            sessionEnded = true;
+            log('Consent denied, recorder initialized without capturing');
+          } else {
+            captureSessionStart('init');
+            startCapture();
+          }
+          setupTcfIntegration();
+          
           log('WhysRecorder initialized successfully with fail-safe protection');
           return true;
         }, 'init', true);
@@ -1583,6 +5579,66 @@
       }, 'identify');
     },
 
+    // Call on logout: ends the session with reason "reset" and starts a new one.
+    // newVisitor: true also forgets the visitor, e.g. on shared computers.
+    reset: function(options = {}) {
+      if (recorderDisabled || !isInitialized) return;
+      resetSession(options.newVisitor === true);
+    },
+
+    // Properties merged into every following event, e.g. { plan: "pro" }
+    register: function(properties) {
+      if (recorderDisabled || !isInitialized) return;
+      if (!isPlainObject(properties)) {
+        log('register expects an object:', properties);
+        return;
+      }
+      safeExecute(() => {
+        if (registerSuperProperties(properties)) {
+          log('Super properties registered:', Object.keys(properties));
+        }
+      }, 'register');
+    },
+
+    unregister: function(key) {
+      if (recorderDisabled || !isInitialized) return;
+      safeExecute(() => unregisterSuperProperty(key), 'unregister');
+    },
+
+    // Traits of the identified user (stored in sessionData.userTraits)
+    setUserTraits: function(traits) {
+      if (recorderDisabled || !isInitialized) return;
+      if (!isPlainObject(traits)) {
+        log('setUserTraits expects an object:', traits);
+        return;
+      }
+      safeExecute(() => {
+        if (!updateUserTraits(traits)) return;
+        captureEvent('user_traits', {
+          metadata: {
+            userId: userId,
+            traits: userTraits,
+            timestamp: new Date().toISOString()
+          }
+        });
+        log('User traits set:', Object.keys(traits));
+      }, 'setUserTraits');
+    },
+
+    // Session-wide context such as an A/B variant (stored in sessionData.sessionProperties)
+    setSessionProperties: function(properties) {
+      if (recorderDisabled || !isInitialized) return;
+      if (!isPlainObject(properties)) {
+        log('setSessionProperties expects an object:', properties);
+        return;
+      }
+      safeExecute(() => {
+        if (updateSessionProperties(properties)) {
+          log('Session properties set:', Object.keys(properties));
+        }
+      }, 'setSessionProperties');
+    },
+
     track: function(eventType, eventData = {}) {
       if (recorderDisabled || !isInitialized) return;
       
@@ -1600,6 +5656,50 @@
       }, 'track');
     },
 
+    // Accepts true/false or 'granted'/'denied'/'pending'; may be called before init
+    setConsent: function(consent) {
+      const state = normalizeConsent(consent);
+      if (!state) {
+        log('Invalid consent value:', consent);
+        return;
+      }
+      consentDecided = true;
+      applyConsent(state, 'api');
+    },
+
+    getConsent: function() {
+      return consentState;
+    },
+
+    // Isolated recorder for another project on the same page, e.g. an embedded
+    // partner widget. It has its own config, IDs, queue and transport; DOM
+    // listeners and the history patch are shared with the other instances.
+    createInstance: function(config) {
+      const instance = createRecorder(false);
+      // init logs its own failures; the instance is returned either way
+      instance.init(config).catch(() => {});
+      return instance;
+    },
+
+    // Append a whys_xd parameter to a URL on a CROSS_DOMAIN_LINKS domain, for
+    // navigations the recorder can't see (window.location, window.open, emails...)
+    decorateUrl: function(url) {
+      return decorateUrl(url);
+    },
+
+    // Report an error the host application caught itself (recorded with handled: true)
+    captureError: function(error, metadata = {}) {
+      if (recorderDisabled || !isInitialized) return;
+      
+      captureJsError({
+        type: 'captured',
+        error: isErrorLike(error) ? error : null,
+        message: describeRejectionReason(error),
+        handled: true,
+        metadata: metadata
+      });
+    },
+
     // Debug and health methods
     _getSessionId: function() {
       return sessionId;
@@ -1619,6 +5719,8 @@
       return {
         initialized: isInitialized,
         sessionId: sessionId,
+        tabId: getTabId(),
+        sessionEnded: sessionEnded,
         disabled: recorderDisabled,
         errorCount: globalErrorCount,
         networkErrorCount: networkErrorCount,
@@ -1696,6 +5798,17 @@
   // AUTO-INITIALIZATION WITH SAFETY
   // ============================================================================
   
+  function parseJsonAttribute(script, name) {
+    const value = script.getAttribute(name);
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      log('Ignoring invalid JSON in', name + ':', value);
+      return null;
+    }
+  }
+
   function autoInit() {
     if (recorderDisabled) return;
     
@@ -1711,10 +5824,57 @@
             userId: script.getAttribute('data-user-id'),
             debug: script.getAttribute('data-debug') === 'true',
             apiEndpoint: script.getAttribute('data-api-endpoint'),
+            healthEndpoint: script.getAttribute('data-health-endpoint'),
+            transport: script.getAttribute('data-transport'),
+            transportHeaders: parseJsonAttribute(script, 'data-transport-headers'),
+            websocketUrl: script.getAttribute('data-websocket-url'),
             captureConsole: script.getAttribute('data-capture-console') !== 'false', // Default to true
             consoleLogLevels: script.getAttribute('data-console-levels') ? 
               script.getAttribute('data-console-levels').split(',') : null,
-            excludeRecorderLogs: script.getAttribute('data-exclude-recorder-logs') !== 'false' // Default to true
+            excludeRecorderLogs: script.getAttribute('data-exclude-recorder-logs') !== 'false', // Default to true
+            captureErrors: script.getAttribute('data-capture-errors') !== 'false', // Default to true
+            captureNetwork: script.getAttribute('data-capture-network') !== 'false', // Default to true
+            networkAllowlist: script.getAttribute('data-network-allowlist') ?
+              script.getAttribute('data-network-allowlist').split(',').map(p => p.trim()).filter(Boolean) : null,
+            networkDenylist: script.getAttribute('data-network-denylist') ?
+              script.getAttribute('data-network-denylist').split(',').map(p => p.trim()).filter(Boolean) : null,
+            captureWebVitals: script.getAttribute('data-capture-web-vitals') !== 'false', // Default to true
+            captureDom: script.getAttribute('data-capture-dom') !== 'false', // Default to true
+            compressPayloads: script.getAttribute('data-compress-payloads') === 'true',
+            offlineQueue: script.getAttribute('data-offline-queue') !== 'false', // Default to true
+            inactivityTimeout: script.getAttribute('data-inactivity-timeout'),
+            tabHiddenTimeout: script.getAttribute('data-tab-hidden-timeout'),
+            maxSessionDuration: script.getAttribute('data-max-session-duration'),
+            sessionRollover: script.getAttribute('data-session-rollover'),
+            activityEvents: script.getAttribute('data-activity-events') ?
+              script.getAttribute('data-activity-events').split(',').map(e => e.trim()).filter(Boolean) : null,
+            idStorage: script.getAttribute('data-id-storage'),
+            cookieDomain: script.getAttribute('data-cookie-domain'),
+            crossDomainLinks: script.getAttribute('data-cross-domain-links') ?
+              script.getAttribute('data-cross-domain-links').split(',').map(d => d.trim()).filter(Boolean) : null,
+            crossTabSync: script.getAttribute('data-cross-tab-sync') !== 'false', // Default to true
+            crossTabLeaderBatching: script.getAttribute('data-cross-tab-leader-batching') === 'true',
+            scrubUrls: script.getAttribute('data-scrub-urls') !== 'false', // Default to true
+            urlParamAllowlist: script.getAttribute('data-url-param-allowlist') ?
+              script.getAttribute('data-url-param-allowlist').split(',').map(p => p.trim()).filter(Boolean) : null,
+            urlParamDenylist: script.getAttribute('data-url-param-denylist') ?
+              script.getAttribute('data-url-param-denylist').split(',').map(p => p.trim()).filter(Boolean) : null,
+            urlPathRedactions: script.getAttribute('data-url-path-redactions') ?
+              script.getAttribute('data-url-path-redactions').split(',').map(p => p.trim()).filter(Boolean) : null,
+            captureForms: script.getAttribute('data-capture-forms') !== 'false', // Default to true
+            maskSelectors: script.getAttribute('data-mask-selector'),
+            blockSelectors: script.getAttribute('data-block-selector'),
+            ignoreSelectors: script.getAttribute('data-ignore-selector'),
+            detectFrustration: script.getAttribute('data-detect-frustration') !== 'false', // Default to true
+            rageClickCount: script.getAttribute('data-rage-click-count'),
+            rageClickRadius: script.getAttribute('data-rage-click-radius'),
+            rageClickWindow: script.getAttribute('data-rage-click-window'),
+            deadClickWindow: script.getAttribute('data-dead-click-window'),
+            errorClickWindow: script.getAttribute('data-error-click-window'),
+            requireConsent: script.getAttribute('data-require-consent') === 'true',
+            honorGlobalPrivacyControl: script.getAttribute('data-honor-gpc') !== 'false', // Default to true
+            tcfIntegration: script.getAttribute('data-tcf') === 'true',
+            tcfVendorId: script.getAttribute('data-tcf-vendor-id')
           };
 
           // Remove undefined values
@@ -1735,18 +5895,20 @@
   // GLOBAL EXPOSURE WITH PROTECTION
   // ============================================================================
   
-  // Expose to global scope safely
-  if (typeof window !== 'undefined') {
+  // Expose to global scope safely (instances from createInstance stay private)
+  if (isDefaultInstance && typeof window !== 'undefined') {
     safeExecute(() => {
       window.WhysRecorder = WhysRecorder;
     }, 'global_exposure');
   }
 
   // Auto-initialize if script has data-project-id
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', autoInit);
-  } else {
-    autoInit();
+  if (isDefaultInstance) {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', autoInit);
+    } else {
+      autoInit();
+    }
   }
 
   // Final safety check - if too many errors during load, disable immediately
@@ -1758,4 +5920,8 @@
     }
   }, 1000);
 
+  return WhysRecorder;
+  }
+
+  createRecorder(true);
 })(); 
\ No newline at end of file